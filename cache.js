@@ -0,0 +1,179 @@
+/**
+ * In-memory cache of API responses used by PhoenixApiClient when the "cache" option is enabled.
+ */
+
+/**
+ * Returns URL path without query string and hash
+ * @param {string} url
+ * @return {string} path
+ */
+const url_path = (url) => url.split(/[?#]/)[0].replace(/\/+$/, "");
+
+/**
+ * Deep copies the response, so consumers can't modify the cached data
+ * @param {*} value
+ * @return {*} copy
+ */
+const copy = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/** Class representing response cache with TTL, ETag and least recently used eviction. */
+class ResponseCache {
+
+  /**
+   * Create a ResponseCache.
+   * @param {object} options - ttl: milliseconds, max_entries: maximum number of cached responses
+   */
+  constructor(options = {}) {
+    this.options = {
+      ttl: 30000,
+      max_entries: 200,
+      ...options,
+    };
+    this.entries = new Map();
+    this.pending = new Map();
+    // incremented by invalidations, responses of requests started before are not cached
+    this.generation = 0;
+  }
+
+  /**
+   * @param {string} key
+   * @return {object|null} entry with body, etag, expires and path
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * @param {object} entry - cache entry
+   * @return {boolean} true if TTL of the entry is not passed
+   */
+  is_fresh(entry) {
+    return entry.expires > Date.now();
+  }
+
+  /**
+   * @param {object} entry - cache entry
+   * @return {*} copy of the cached response
+   */
+  read(entry) {
+    return copy(entry.body);
+  }
+
+  /**
+   * Stores the response
+   * @param {string} key
+   * @param {string} url - request url
+   * @param {*} body - response
+   * @param {string} etag - ETag response header
+   * @param {number} ttl - overrides ttl option
+   * @param {number} generation - generation of the cache when the request was sent, the response is dropped if it changed
+   */
+  set(key, url, body, etag = null, ttl = this.options.ttl, generation = this.generation) {
+    if (generation !== this.generation) return;
+    this.entries.delete(key);
+    this.entries.set(key, {
+      body: copy(body),
+      etag,
+      expires: Date.now() + ttl,
+      path: url_path(url),
+    });
+    while (this.entries.size > this.options.max_entries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Extends the TTL of the entry (used when the server confirms the cached response is not modified)
+   * @param {object} entry - cache entry
+   * @param {number} ttl - overrides ttl option
+   */
+  touch(entry, ttl = this.options.ttl) {
+    entry.expires = Date.now() + ttl;
+  }
+
+  /**
+   * Removes responses of the resource, its sub resources and the collection it belongs to
+   * @param {string} url - url of the modified resource
+   */
+  invalidate(url) {
+    this.generation += 1;
+    const path = url_path(url);
+    const parent = path.slice(0, path.lastIndexOf("/"));
+    for (const [key, entry] of this.entries) {
+      if (entry.path === path || entry.path === parent || entry.path.startsWith(`${path}/`)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Shares the pending request between identical concurrent calls, requests started before an invalidation are not shared.
+   * Every caller can abort waiting with its own signal, the request is aborted when all callers abort.
+   * @param {string} key
+   * @param {function} request - function called with AbortSignal of the shared request, returns a promise
+   * @param {AbortSignal} signal - signal of the caller
+   * @return {Promise} copy of the response
+   */
+  deduplicate(key, request, signal = null) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    let pending = this.pending.get(key);
+    if (!pending || pending.generation !== this.generation) {
+      const controller = new AbortController();
+      pending = {controller, generation: this.generation, waiting: 0};
+      pending.promise = Promise.resolve().then(() => request(controller.signal));
+      this.pending.set(key, pending);
+      const remove = () => this._remove_pending(key, pending);
+      pending.promise.then(remove, remove);
+    }
+    return this._wait(key, pending, signal);
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} pending - shared request
+   * @param {AbortSignal} signal - signal of the caller
+   * @return {Promise} copy of the response, rejected with the abort reason if the caller aborts
+   */
+  _wait(key, pending, signal) {
+    pending.waiting += 1;
+    if (!signal) return pending.promise.then(copy);
+    return new Promise((resolve, reject) => {
+      const on_abort = () => {
+        pending.waiting -= 1;
+        if (!pending.waiting) {
+          this._remove_pending(key, pending);
+          pending.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener("abort", on_abort, {once: true});
+      pending.promise.then((value) => {
+        signal.removeEventListener("abort", on_abort);
+        resolve(copy(value));
+      }, (err) => {
+        signal.removeEventListener("abort", on_abort);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} pending - shared request
+   */
+  _remove_pending(key, pending) {
+    if (this.pending.get(key) === pending) this.pending.delete(key);
+  }
+
+  clear() {
+    this.generation += 1;
+    this.entries.clear();
+    this.pending.clear();
+  }
+}
+
+module.exports = ResponseCache;
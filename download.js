@@ -0,0 +1,118 @@
+/**
+ * Reading of binary responses for PhoenixApiClient.download_item: Blob, ArrayBuffer or ReadableStream with progress.
+ */
+
+const RESPONSE_TYPES = ["blob", "arraybuffer", "stream"];
+
+/**
+ * @param {Response} response
+ * @return {number|null} Content-Length of the response
+ */
+const content_length = (response) => {
+  const value = response.headers && typeof response.headers.get === "function" ? response.headers.get("Content-Length") : null;
+  const length = value === null || value === undefined || value === "" ? NaN : Number(value);
+  return isNaN(length) ? null : length;
+};
+
+/**
+ * @param {Response} response
+ * @return {boolean} true if the response is JSON
+ */
+const is_json = (response) => {
+  const type = response.headers && typeof response.headers.get === "function" ? response.headers.get("Content-Type") : null;
+  return !!type && type.includes("json");
+};
+
+/**
+ * Creates progress reporter
+ * @param {number|null} total - expected number of bytes
+ * @param {function} on_progress - called with {loaded, total, percent}
+ * @return {function} function adding received bytes, returns loaded bytes
+ */
+const progress_reporter = (total, on_progress) => {
+  let loaded = 0;
+  return (bytes) => {
+    loaded += bytes;
+    if (on_progress) on_progress({loaded, total, percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null});
+    return loaded;
+  };
+};
+
+/**
+ * Reads the response body
+ * @param {Response} response
+ * @param {string} type - "blob", "arraybuffer" or "stream"
+ * @param {function} on_progress - called with {loaded, total, percent} when a chunk is received
+ * @param {function} on_done - called when the body is read (for streams, when the stream is consumed or cancelled)
+ * @return {Promise<Blob|ArrayBuffer|ReadableStream>}
+ */
+const read_body = async (response, type = "blob", on_progress = null, on_done = () => null) => {
+  const report = progress_reporter(content_length(response), on_progress);
+  const body = response.body && typeof response.body.getReader === "function" ? response.body : null;
+  if (type === "stream") {
+    if (!body) throw new Error("Streaming is not supported by the fetch implementation");
+    const reader = body.getReader();
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      on_done();
+    };
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) {
+            finish();
+            controller.close();
+            return;
+          }
+          report(value.byteLength);
+          controller.enqueue(value);
+        } catch (err) {
+          finish();
+          controller.error(err);
+        }
+      },
+      cancel(reason) {
+        finish();
+        return reader.cancel(reason);
+      },
+    });
+  }
+  try {
+    if (!body) {
+      const data = type === "arraybuffer" ? await response.arrayBuffer() : await response.blob();
+      report(type === "arraybuffer" ? data.byteLength : data.size);
+      return data;
+    }
+    const reader = body.getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length = report(value.byteLength);
+    }
+    if (type === "arraybuffer") {
+      const bytes = new Uint8Array(length);
+      let offset = 0;
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+      }
+      return bytes.buffer;
+    }
+    return new Blob(chunks, {type: response.headers.get("Content-Type") || ""});
+  } finally {
+    on_done();
+  }
+};
+
+module.exports = {
+  RESPONSE_TYPES,
+  content_length,
+  is_json,
+  read_body,
+};
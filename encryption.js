@@ -0,0 +1,170 @@
+/**
+ * Encryption of the data PhoenixApiClient persists with the storage adapter: AES-GCM with 256-bit key (WebCrypto).
+ */
+
+const PREFIX = "enc:v1:";
+
+const ALGORITHM = "AES-GCM";
+
+const IV_LENGTH = 12;
+
+/**
+ * @param {*} key
+ * @return {boolean} true if the key is CryptoKey
+ */
+const is_crypto_key = (key) => !!key && typeof key === "object" && !!key.algorithm && Array.isArray(key.usages);
+
+const KEY_LENGTH = 32;
+
+/** The key could not be imported, loaded or stored, unlike decryption errors the stored values may still be valid. */
+class KeyUnavailableError extends Error {
+
+  /**
+   * @param {string} message
+   * @param {Error} cause - error thrown while loading the key
+   */
+  constructor(message, cause = null) {
+    super(message);
+    this.name = "KeyUnavailableError";
+    this.cause = cause;
+  }
+}
+
+/** Class representing encryption of the stored values. */
+class StorageEncryption {
+
+  /**
+   * Create a StorageEncryption.
+   * @param {object} environment - environment adapter (crypto, base64, load_key, save_key and with_lock)
+   * @param {object} options - key: CryptoKey or 256-bit raw key (ArrayBuffer, typed array or base64 string) supplied by the app,
+   * if not set a non-extractable key is generated and stored by the environment (IndexedDB in browsers);
+   * key_name: name of the generated key (default "phoenix-api-js-client-key"),
+   * on_key_unavailable: called once with KeyUnavailableError if the key can't be loaded or stored
+   */
+  constructor(environment, options = {}) {
+    this.environment = environment;
+    this.options = {
+      key: null,
+      key_name: "phoenix-api-js-client-key",
+      on_key_unavailable: null,
+      ...options,
+    };
+    this._key = null;
+    this._raw_key = this.options.key && !is_crypto_key(this.options.key) ? this._raw(this.options.key) : null;
+  }
+
+  /**
+   * Validates the raw key supplied by the app, an invalid key is a configuration error, the data is never stored without it
+   * @param {ArrayBuffer|ArrayBufferView|string} key - 256-bit key or its base64
+   * @return {Uint8Array} key bytes
+   */
+  _raw(key) {
+    let bytes = null;
+    try {
+      if (typeof key === "string") bytes = Uint8Array.from(this.environment.base64_decode(key), (x) => x.charCodeAt(0));
+      else if (key instanceof ArrayBuffer) bytes = new Uint8Array(key);
+      else if (ArrayBuffer.isView(key)) bytes = new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+    } catch (err) {
+      bytes = null;
+    }
+    if (!bytes || bytes.length !== KEY_LENGTH) {
+      throw new Error("Encryption key must be CryptoKey or 256-bit raw key (ArrayBuffer, typed array or base64 string)");
+    }
+    return bytes;
+  }
+
+  /**
+   * @param {string} value - stored value
+   * @return {boolean} true if the value was encrypted by this class
+   */
+  static is_encrypted(value) {
+    return typeof value === "string" && value.startsWith(PREFIX);
+  }
+
+  /**
+   * Returns the key, it is imported, loaded or generated once. If that fails, the key stays unavailable
+   * until the page is reloaded, so the values are not written with different keys.
+   * @return {Promise<CryptoKey>} rejected with KeyUnavailableError if the key can't be loaded
+   */
+  key() {
+    if (!this._key) {
+      this._key = this._load_key().catch((err) => {
+        const unavailable = err instanceof KeyUnavailableError
+          ? err
+          : new KeyUnavailableError(`Encryption key is not available: ${err && err.message}`, err);
+        if (this.options.on_key_unavailable) this.options.on_key_unavailable(unavailable);
+        throw unavailable;
+      });
+    }
+    return this._key;
+  }
+
+  /**
+   * @return {Promise<CryptoKey>} key supplied by the app, stored by the environment or a new one
+   */
+  async _load_key() {
+    const subtle = this.environment.crypto.subtle;
+    const key = this.options.key;
+    if (is_crypto_key(key)) return key;
+    if (this._raw_key) return await subtle.importKey("raw", this._raw_key, {name: ALGORITHM}, false, ["encrypt", "decrypt"]);
+    // tabs sharing the storage have to use the same key, only one of them generates it
+    return await this.environment.with_lock(this.options.key_name, async () => {
+      const stored = await this.environment.load_key(this.options.key_name);
+      if (stored) return stored;
+      const generated = await subtle.generateKey({name: ALGORITHM, length: 256}, false, ["encrypt", "decrypt"]);
+      // the values encrypted with a key which is not stored could not be read after the page is reloaded
+      if (!(await this.environment.save_key(this.options.key_name, generated))) {
+        throw new KeyUnavailableError("Encryption key could not be stored");
+      }
+      return generated;
+    });
+  }
+
+  /**
+   * Encrypts the value, the storage key is authenticated, so values can't be moved to other keys
+   * @param {string} value
+   * @param {string} name - storage key of the value
+   * @return {Promise<string>} "enc:v1:" followed by base64 of IV and ciphertext
+   */
+  async encrypt(value, name = "") {
+    const { crypto, base64_encode } = this.environment;
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt(
+      {name: ALGORITHM, iv, additionalData: new TextEncoder().encode(name)},
+      await this.key(),
+      new TextEncoder().encode(value)
+    );
+    const bytes = new Uint8Array(IV_LENGTH + ciphertext.byteLength);
+    bytes.set(iv);
+    bytes.set(new Uint8Array(ciphertext), IV_LENGTH);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return PREFIX + base64_encode(binary);
+  }
+
+  /**
+   * Decrypts the value, rejects with KeyUnavailableError if the key can't be loaded,
+   * otherwise if the value is not encrypted, was encrypted with another key or was modified
+   * @param {string} value - value returned by encrypt
+   * @param {string} name - storage key of the value
+   * @return {Promise<string>} decrypted value
+   */
+  async decrypt(value, name = "") {
+    const key = await this.key();
+    if (!StorageEncryption.is_encrypted(value)) throw new Error("Value is not encrypted");
+    const { crypto, base64_decode } = this.environment;
+    const bytes = Uint8Array.from(base64_decode(value.slice(PREFIX.length)), (x) => x.charCodeAt(0));
+    const plaintext = await crypto.subtle.decrypt(
+      {name: ALGORITHM, iv: bytes.subarray(0, IV_LENGTH), additionalData: new TextEncoder().encode(name)},
+      key,
+      bytes.subarray(IV_LENGTH)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+}
+
+StorageEncryption.KeyUnavailableError = KeyUnavailableError;
+
+module.exports = StorageEncryption;
@@ -0,0 +1,445 @@
+/**
+ * Environment adapters isolating browser-only behavior (location, history, redirects) of PhoenixApiClient.
+ */
+
+/**
+ * Decodes base64 or base64url string
+ * @param {string} value - encoded value
+ * @return {string} decoded binary string
+ */
+const base64_decode = (value) => {
+  let base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  while (base64.length % 4) base64 += "=";
+  if (typeof atob === "function") return atob(base64);
+  return Buffer.from(base64, "base64").toString("binary");
+};
+
+/**
+ * Encodes binary string to base64
+ * @param {string} value - binary string
+ * @return {string} encoded value
+ */
+const base64_encode = (value) => {
+  if (typeof btoa === "function") return btoa(value);
+  return Buffer.from(value, "binary").toString("base64");
+};
+
+/**
+ * Returns WebCrypto implementation
+ * @return {Crypto} crypto object
+ */
+const web_crypto = () => {
+  if (typeof globalThis !== "undefined" && globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto;
+  }
+  return require("crypto").webcrypto;
+};
+
+/**
+ * Wraps IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @return {Promise<*>} request result
+ */
+const idb_request = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens IndexedDB database keeping the encryption keys
+ * @return {Promise<IDBDatabase>} database or null if IndexedDB is not available
+ */
+const open_key_database = async () => {
+  if (typeof indexedDB === "undefined") return null;
+  const request = indexedDB.open("phoenix-api-js-client-keys", 1);
+  request.onupgradeneeded = () => request.result.createObjectStore("keys");
+  return await idb_request(request);
+};
+
+/** Class representing browser environment. */
+class BrowserEnvironment {
+
+  constructor() {
+    this.is_browser = true;
+    this.base64_decode = base64_decode;
+    this.base64_encode = base64_encode;
+  }
+
+  get crypto() {
+    return web_crypto();
+  }
+
+  /**
+   * @return {Location} current location
+   */
+  location() {
+    return document.location;
+  }
+
+  /**
+   * Changes the current URL without reloading the page
+   * @param {string} url - new URL (path, query and hash)
+   * @param {boolean} replace - replaces current history entry if true, pushes a new one otherwise
+   */
+  update_url(url, replace = false) {
+    if (replace) {
+      history.replaceState(history.state, document.title, url);
+    } else {
+      history.pushState("", document.title, url);
+    }
+  }
+
+  /**
+   * Navigates to the URL
+   * @param {string} url
+   */
+  redirect(url) {
+    window.location.assign(url);
+  }
+
+  /**
+   * @return {boolean} true if the page is loaded in a frame (e.g. the hidden iframe of the silent renewal)
+   */
+  in_frame() {
+    try {
+      return window.self !== window.top;
+    } catch (err) {
+      return true; // the top window has another origin
+    }
+  }
+
+  fetch(url, options) {
+    return fetch(url, options);
+  }
+
+  /**
+   * Sends the request with XMLHttpRequest, fetch doesn't report upload progress
+   * @param {string} url
+   * @param {object} options - fetch options
+   * @param {function} on_progress - called with {loaded, total} while the body is uploaded
+   * @return {Promise<Response>} response
+   */
+  fetch_with_progress(url, options, on_progress) {
+    return new Promise((resolve, reject) => {
+      const signal = options.signal;
+      if (signal && signal.aborted) return reject(signal.reason);
+      const xhr = new XMLHttpRequest();
+      xhr.open(options.method || "GET", url);
+      for (const name of Object.keys(options.headers || {})) xhr.setRequestHeader(name, options.headers[name]);
+      xhr.responseType = "blob";
+      xhr.upload.onprogress = (event) => on_progress({loaded: event.loaded, total: event.lengthComputable ? event.total : null});
+      const on_abort = () => xhr.abort();
+      const cleanup = () => signal && signal.removeEventListener("abort", on_abort);
+      xhr.onload = () => {
+        cleanup();
+        const headers = new Headers();
+        for (const line of xhr.getAllResponseHeaders().trim().split(/[\r\n]+/)) {
+          const index = line.indexOf(":");
+          if (index > 0) headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+        }
+        const body = [101, 204, 205, 304].includes(xhr.status) ? null : xhr.response;
+        resolve(new Response(body, {status: xhr.status, statusText: xhr.statusText, headers}));
+      };
+      xhr.onerror = () => {
+        cleanup();
+        reject(new TypeError("Network request failed"));
+      };
+      xhr.onabort = () => {
+        cleanup();
+        reject(signal && signal.reason ? signal.reason : new DOMException("The operation was aborted.", "AbortError"));
+      };
+      if (signal) signal.addEventListener("abort", on_abort, {once: true});
+      xhr.send(options.body === undefined ? null : options.body);
+    });
+  }
+
+  set_timeout(callback, timeout) {
+    return setTimeout(callback, timeout);
+  }
+
+  /**
+   * @return {boolean} false if the browser reports it is offline
+   */
+  is_online() {
+    return typeof navigator === "undefined" || navigator.onLine !== false;
+  }
+
+  /**
+   * Calls the callback when the browser goes online
+   * @param {function} callback
+   * @return {function} function removing the listener
+   */
+  on_online(callback) {
+    window.addEventListener("online", callback);
+    return () => window.removeEventListener("online", callback);
+  }
+
+  /**
+   * @return {boolean} false if the page is hidden (background tab, minimized window)
+   */
+  is_visible() {
+    return typeof document === "undefined" || document.visibilityState !== "hidden";
+  }
+
+  /**
+   * Calls the callback when the page visibility changes
+   * @param {function} callback
+   * @return {function} function removing the listener
+   */
+  on_visibility_change(callback) {
+    document.addEventListener("visibilitychange", callback);
+    return () => document.removeEventListener("visibilitychange", callback);
+  }
+
+  /**
+   * Creates channel for messages between tabs of the same origin.
+   * Uses BroadcastChannel, falls back to localStorage "storage" events.
+   * @param {string} name - channel name
+   * @param {function} handler - called with messages posted by other tabs
+   * @return {object} channel with post(message) and close() methods
+   */
+  create_channel(name, handler) {
+    if (typeof BroadcastChannel === "function") {
+      const channel = new BroadcastChannel(name);
+      channel.onmessage = (event) => handler(event.data);
+      return {
+        post: (message) => channel.postMessage(message),
+        close: () => channel.close(),
+      };
+    }
+    const on_storage = (event) => {
+      if (event.key !== name || !event.newValue) return;
+      handler(JSON.parse(event.newValue).message);
+    };
+    window.addEventListener("storage", on_storage);
+    return {
+      post: (message) => {
+        localStorage.setItem(name, JSON.stringify({message, nonce: Math.random()}));
+        localStorage.removeItem(name);
+      },
+      close: () => window.removeEventListener("storage", on_storage),
+    };
+  }
+
+  /**
+   * Runs the callback holding exclusive lock shared by tabs of the same origin (Web Locks API, if available)
+   * @param {string} name - lock name
+   * @param {function} callback - async function
+   * @return {Promise} callback result
+   */
+  with_lock(name, callback) {
+    if (typeof navigator !== "undefined" && navigator.locks && typeof navigator.locks.request === "function") {
+      return navigator.locks.request(name, callback);
+    }
+    return callback();
+  }
+
+  /**
+   * Loads encryption key stored by save_key
+   * @param {string} name - key name
+   * @return {Promise<CryptoKey>} key or null if not found
+   */
+  async load_key(name) {
+    const db = await open_key_database();
+    if (!db) return null;
+    try {
+      const key = await idb_request(db.transaction("keys", "readonly").objectStore("keys").get(name));
+      return key || null;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Stores encryption key in IndexedDB, non-extractable CryptoKey is stored without exposing the key material
+   * @param {string} name - key name
+   * @param {CryptoKey} key
+   * @return {Promise<boolean>} false if IndexedDB is not available (the key is lost when the page is closed)
+   */
+  async save_key(name, key) {
+    const db = await open_key_database();
+    if (!db) return false;
+    try {
+      await idb_request(db.transaction("keys", "readwrite").objectStore("keys").put(key, name));
+      return true;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Opens the authorization URL in a hidden iframe and waits for the redirect back to the app origin
+   * @param {string} url - authorization URL, usually with prompt=none
+   * @param {number} timeout - milliseconds
+   * @return {Promise<object>} search and hash of the redirect URL
+   */
+  silent_authorize(url, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const iframe = document.createElement("iframe");
+      iframe.style.display = "none";
+      const started = Date.now();
+      let interval = null;
+      const done = (error, result) => {
+        clearInterval(interval);
+        iframe.remove();
+        if (error) return reject(error);
+        resolve(result);
+      };
+      interval = setInterval(() => {
+        let location = null;
+        try {
+          location = iframe.contentWindow && iframe.contentWindow.location;
+          if (location && location.origin !== window.location.origin) location = null;
+        } catch (err) {
+          location = null; // still on the authorization server origin
+        }
+        if (location && (location.search || location.hash)) {
+          return done(null, {search: location.search, hash: location.hash});
+        }
+        if (Date.now() - started > timeout) done(new Error("Silent authorization timed out"));
+      }, 100);
+      iframe.src = url;
+      document.body.appendChild(iframe);
+    });
+  }
+}
+
+/** Class representing environment without DOM (Node.js, web workers, SSR). */
+class HeadlessEnvironment {
+
+  /**
+   * Create a HeadlessEnvironment.
+   * @param {object} options - fetch: fetch implementation (defaults to global fetch)
+   */
+  constructor(options = {}) {
+    this.is_browser = false;
+    this.base64_decode = base64_decode;
+    this.base64_encode = base64_encode;
+    this._fetch = options.fetch || null;
+    this._keys = new Map();
+  }
+
+  get crypto() {
+    return web_crypto();
+  }
+
+  /**
+   * @return {null} there is no location in headless mode
+   */
+  location() {
+    return null;
+  }
+
+  update_url() {
+  }
+
+  redirect() {
+  }
+
+  fetch(url, options) {
+    return (this._fetch || fetch)(url, options);
+  }
+
+  /**
+   * Schedules the callback, by default without keeping the Node.js process alive
+   * @param {function} callback
+   * @param {number} timeout - milliseconds
+   * @param {boolean} keep_alive - true keeps the process alive until the callback is called (e.g. watcher polling)
+   * @return {object} timer handle
+   */
+  set_timeout(callback, timeout, keep_alive = false) {
+    const handle = setTimeout(callback, timeout);
+    if (!keep_alive && handle && typeof handle.unref === "function") handle.unref();
+    return handle;
+  }
+
+  /**
+   * @return {boolean} connectivity is not tracked in headless mode, network errors are used instead
+   */
+  is_online() {
+    return true;
+  }
+
+  /**
+   * @return {function} no-op, there are no connectivity events in headless mode
+   */
+  on_online() {
+    return () => null;
+  }
+
+  /**
+   * @return {boolean} there is no page to hide in headless mode
+   */
+  is_visible() {
+    return true;
+  }
+
+  /**
+   * @return {function} no-op, there are no visibility events in headless mode
+   */
+  on_visibility_change() {
+    return () => null;
+  }
+
+  /**
+   * Writes the stream to the file
+   * @param {string} path - file path
+   * @param {ReadableStream} stream - web stream
+   * @return {Promise<number>} number of written bytes
+   */
+  async write_file(path, stream) {
+    const fs = require("fs");
+    const { Readable } = require("stream");
+    const { pipeline } = require("stream/promises");
+    const file = fs.createWriteStream(path);
+    await pipeline(Readable.fromWeb(stream), file);
+    return file.bytesWritten;
+  }
+
+  /**
+   * @param {string} name - key name
+   * @return {Promise<CryptoKey>} key stored by save_key in this process or null
+   */
+  async load_key(name) {
+    return this._keys.get(name) || null;
+  }
+
+  /**
+   * Keeps encryption key in memory, server side apps should supply their own key to read the data after restart
+   * @param {string} name - key name
+   * @param {CryptoKey} key
+   * @return {Promise<boolean>} true
+   */
+  async save_key(name, key) {
+    this._keys.set(name, key);
+    return true;
+  }
+
+  /**
+   * @return {null} there are no tabs in headless mode
+   */
+  create_channel() {
+    return null;
+  }
+
+  with_lock(name, callback) {
+    return callback();
+  }
+}
+
+/**
+ * Creates environment matching the current runtime
+ * @return {BrowserEnvironment|HeadlessEnvironment}
+ */
+const detect_environment = () => {
+  if (typeof window !== "undefined" && typeof document !== "undefined" && typeof history !== "undefined") {
+    return new BrowserEnvironment();
+  }
+  return new HeadlessEnvironment();
+};
+
+module.exports = {
+  BrowserEnvironment,
+  HeadlessEnvironment,
+  detect_environment,
+};
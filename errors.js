@@ -0,0 +1,173 @@
+/**
+ * Errors thrown by PhoenixApiClient. API errors are created from the response status by create_api_error.
+ */
+
+/**
+ * Reads header value from Headers (or Map in custom fetch implementations)
+ * @param {Headers} headers
+ * @param {string} name
+ * @return {string|null}
+ */
+const header = (headers, name) => {
+  if (!headers || typeof headers.get !== "function") return null;
+  const value = headers.get(name);
+  return value === undefined || value === "" ? null : value;
+};
+
+/**
+ * Finds error message in the response body
+ * @param {*} body - parsed response body
+ * @return {string|null}
+ */
+const body_message = (body) => {
+  if (typeof body === "string") return body.length && body.length < 200 && !body.trim().startsWith("<") ? body.trim() : null;
+  if (!body || typeof body !== "object") return null;
+  if (typeof body.message === "string") return body.message;
+  if (typeof body.error === "string") return body.error;
+  if (body["@error"] && typeof body["@error"]["@message"] === "string") return body["@error"]["@message"];
+  return null;
+};
+
+/** Class representing an error of the API request. */
+class PhoenixApiError extends Error {
+
+  /**
+   * Create a PhoenixApiError.
+   * @param {string} message
+   * @param {object} details - status, headers, body (parsed response body), method, url, cause
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    const body = details.body === undefined ? null : details.body;
+    // fields of the response body are kept on the error, as they were before the error classes were introduced
+    if (body && typeof body === "object" && !Array.isArray(body)) {
+      for (const key of Object.keys(body)) {
+        if (!(key in this)) this[key] = body[key];
+      }
+    }
+    this.status = details.status;
+    this.headers = details.headers || null;
+    this.body = body;
+    this.method = details.method || null;
+    this.url = details.url || null;
+    this.request_id = header(details.headers, "X-Request-Id");
+    if (details.cause !== undefined) this.cause = details.cause;
+  }
+}
+
+/** 401 - missing, invalid or expired token. */
+class AuthenticationError extends PhoenixApiError {}
+
+/** 403 - the token doesn't have access to the resource. */
+class PermissionError extends PhoenixApiError {}
+
+/** 404 - the resource doesn't exist. */
+class NotFoundError extends PhoenixApiError {}
+
+/** Class representing 400 and 422 errors, fields contains messages per field. */
+class ValidationError extends PhoenixApiError {
+
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fields = ValidationError.parse_fields(this.body);
+  }
+
+  /**
+   * Collects field messages from the response body ("errors", "@error.@fields" or "details")
+   * @param {*} body - parsed response body
+   * @return {object} field names mapped to arrays of messages
+   */
+  static parse_fields(body) {
+    const fields = {};
+    if (!body || typeof body !== "object") return fields;
+    const source = body.errors || (body["@error"] && body["@error"]["@fields"]) || body.details || null;
+    const add = (field, message) => {
+      if (!field) return;
+      if (!fields[field]) fields[field] = [];
+      if (Array.isArray(message)) message.forEach((x) => add(field, x));
+      else if (message && typeof message === "object") fields[field].push(body_message(message) || JSON.stringify(message));
+      else fields[field].push(String(message));
+    };
+    if (Array.isArray(source)) {
+      for (const item of source) {
+        if (item && typeof item === "object") add(item.field || item.name || item.path, item.message || item.error);
+      }
+    } else if (source && typeof source === "object") {
+      for (const field of Object.keys(source)) add(field, source[field]);
+    }
+    return fields;
+  }
+}
+
+/** Class representing 429 error, retry_after contains milliseconds to wait (null if not provided). */
+class RateLimitError extends PhoenixApiError {
+
+  constructor(message, details = {}) {
+    super(message, details);
+    let value = header(this.headers, "Retry-After");
+    if (value === null && this["@error"] && this["@error"]["@rateLimit"]) value = this["@error"]["@rateLimit"]["Retry-After"];
+    this.retry_after = null;
+    if (value !== null && value !== undefined && value !== "") {
+      const seconds = Number(value);
+      const date = Date.parse(value);
+      if (!isNaN(seconds)) this.retry_after = Math.max(0, seconds * 1000);
+      else if (!isNaN(date)) this.retry_after = Math.max(0, date - Date.now());
+    }
+  }
+}
+
+/** 5xx - the server failed to process the request. */
+class ServerError extends PhoenixApiError {}
+
+/** The request failed before a response was received (connection lost, DNS, CORS). */
+class NetworkError extends PhoenixApiError {}
+
+/** The request was cancelled by the signal. */
+class AbortError extends PhoenixApiError {
+
+  constructor(message = "Request aborted", details = {}) {
+    super(message, details);
+    this.aborted = true;
+  }
+}
+
+/** The request took longer than the timeout option. */
+class TimeoutError extends AbortError {
+
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout;
+  }
+}
+
+/**
+ * Creates error matching the response status
+ * @param {object} details - status, headers, body, method, url
+ * @return {PhoenixApiError}
+ */
+const create_api_error = (details) => {
+  const status = details.status;
+  const message = body_message(details.body) || `${details.method || "GET"} ${details.url} failed with status ${status}`;
+  if (status === 401) return new AuthenticationError(message, details);
+  if (status === 403) return new PermissionError(message, details);
+  if (status === 404) return new NotFoundError(message, details);
+  if (status === 400 || status === 422) return new ValidationError(message, details);
+  if (status === 429) return new RateLimitError(message, details);
+  if (status >= 500) return new ServerError(message, details);
+  return new PhoenixApiError(message, details);
+};
+
+module.exports = {
+  PhoenixApiError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  AbortError,
+  TimeoutError,
+  create_api_error,
+};
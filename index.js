@@ -1,5 +1,22 @@
 const jwkToPem = require("jwk-to-pem");
 const jws = require("jws");
+const { MemoryStorage, WebStorage, CookieStorage } = require("./storage");
+const { BrowserEnvironment, HeadlessEnvironment, detect_environment } = require("./environment");
+const Query = require("./query");
+const { Resource, create_resources } = require("./resources");
+const ResponseCache = require("./cache");
+const RateLimiter = require("./rate_limiter");
+const OfflineQueue = require("./offline_queue");
+const upload = require("./upload");
+const download = require("./download");
+const errors = require("./errors");
+const Logger = require("./logger");
+const Watcher = require("./watcher");
+const StorageEncryption = require("./encryption");
+const { ALGORITHMS, JwksCache, validate_claims } = require("./oidc");
+
+// methods retried after network errors and server errors unless the retry policy lists the methods
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
 
 /** Class representing a PhoenixApi client. */
 class PhoenixApiClient {
@@ -14,61 +31,207 @@ class PhoenixApiClient {
     this.uses_token = false;
     this._id_token = null;
     this._decoded_id_token = null;
+    this._userinfo = null;
+    this.discovery = null;
+    this._discovery_request = null;
     this.expiration_timeout = 0;
+    this._expiration_timers = [];
+    this._renewing = null;
+    this._replaying = null;
+    this._watchers = [];
+    this.middlewares = [];
+    this._state_value = null;
+    this._nonce_value = null;
+    this.id_token_validation = null;
+    this._storage_queue = Promise.resolve();
 
     this.options = {
       client_id: null,
+      client_secret: null,
       handle_rate_limit: true,
       handle_server_error: 3,
+      retry: {},
+      cache: false,
+      rate_limit: false,
+      offline: false,
+      logger: "warn",
+      telemetry: null,
+      request_id_header: null,
       scope: ["account-owner"],
       session_name: "phoenix-api-js-client-session",
+      session_expiring_lead_time: 60000,
+      silent_renew: false,
+      silent_renew_lead_time: 60000,
+      silent_renew_timeout: 10000,
+      silent_redirect_path: "",
       id_token_sign_out: false,
       decode_id_token: false,
+      issuer: null,
+      clock_skew: 60000,
+      jwks_cache_ttl: 3600000,
       ignore_state: false,
+      response_type: "token",
       session_scope: "tab",
+      sync_tabs: true,
+      storage: null,
+      encryption: false,
+      environment: null,
       oauth_api_url: 'https://oauth-api.phone.com',
       accounts_url: 'https://accounts.phone.com',
       phoenix_url: 'https://api.phone.com',
     };
     if (!["tab", "browser"].includes(options.session_scope)) options.session_scope = "tab";
+    if (!["token", "code"].includes(options.response_type)) options.response_type = "token";
     Object.assign(this.options, options);
+    this.options.retry = {
+      max_attempts: (this.options.handle_server_error || 3) + 1,
+      base_delay: 500,
+      max_delay: 30000,
+      factor: 2,
+      jitter: true,
+      network_errors: true,
+      methods: null,
+      statuses: null,
+      retryable: null,
+      ...this.options.retry,
+    };
+    this.logger = this.options.logger instanceof Logger
+      ? this.options.logger
+      : new Logger(typeof this.options.logger === "string" ? {level: this.options.logger} : this.options.logger || {});
+    // this.listeners keeps the 1.x shape (event name mapped to a function or null), callbacks are kept in this._listeners
     this.listeners = {
       "logging-in": null,
       "logged-in": null,
       "logging-out": null,
       "logged-out": null,
+      "session-expiring": null,
       "session-expired": null,
+      "session-renewed": null,
+      "token-changed": null,
+      "account-changed": null,
+      "bulk-progress": null,
+      "mutation-queued": null,
+      "mutation-replayed": null,
+      "mutation-conflict": null,
+      "mutation-failed": null,
+      "request": null,
+      "response": null,
+      "retry": null,
+      "rate-limited": null,
       "error": null,
+      "telemetry": null,
     };
+    this._listeners = {};
+    // functions set by _update_listener, anything else found in this.listeners was assigned directly
+    this._dispatchers = {};
+    // functions assigned directly and moved to this._listeners, a new assignment replaces them
+    this._assigned_listeners = {};
+    if (typeof this.options.telemetry === "function") this.on("telemetry", this.options.telemetry);
     this.cache_keys = `${this.options.session_name}-cache-keys`;
+    Object.assign(this, create_resources(this));
+    this.response_cache = this.options.cache
+      ? new ResponseCache(this.options.cache === true ? {} : this.options.cache)
+      : null;
+    this.environment = this.options.environment || detect_environment();
+    this.rate_limiter = this.options.rate_limit
+      ? new RateLimiter({
+        // queued requests are pending work, the process must not exit before they are sent
+        set_timeout: (callback, timeout) => this.environment.set_timeout(callback, timeout, true),
+        ...(this.options.rate_limit === true ? {} : this.options.rate_limit),
+      })
+      : null;
+    this.jwks = new JwksCache(() => this._load_jwks(), {ttl: this.options.jwks_cache_ttl});
+    this.storage = this.options.storage || this._default_storage();
+    this.encryption = this.options.encryption
+      ? new StorageEncryption(this.environment, {
+        key_name: `${this.options.session_name}-key`,
+        on_key_unavailable: (err) => this.logger.warn("Encryption key is not available, data is kept in memory only", err),
+        ...(this.options.encryption === true ? {} : this.options.encryption),
+      })
+      : null;
+    this.tab_sync = this.options.session_scope === "browser" && this.options.sync_tabs
+      ? this.environment.create_channel(
+        `${this.options.session_name}-sync`,
+        (message) => this._handle_sync_message(message).catch((err) => this._emit("error", err))
+      )
+      : null;
+    this.offline_queue = this.options.offline
+      ? new OfflineQueue(
+        {get: (key) => this._getItem(key), set: (key, value) => this._setItem(key, value)},
+        `${this.options.session_name}-offline-queue`,
+        this.options.offline === true ? {} : this.options.offline
+      )
+      : null;
+    if (this.offline_queue) {
+      this.environment.on_online(() => this.replay_offline_queue().catch((err) => this._emit("error", err)));
+    }
+  }
+
+  /**
+   * Creates storage adapter based on this.options.session_scope value
+   * @return {object} storage adapter
+   */
+  _default_storage() {
+    if (!this.environment.is_browser) return new MemoryStorage();
+    const storage = this.options.session_scope === "tab"
+      ? (typeof sessionStorage !== "undefined" ? sessionStorage : null)
+      : (typeof localStorage !== "undefined" ? localStorage : null);
+
+    return storage ? new WebStorage(storage) : new MemoryStorage();
   }
 
   set id_token(val) {
     this._id_token = val;
-    val ? this._setItem(this.id_token_cache_key, val) : this._removeItem(this.id_token_cache_key);
+    this._persist(this.id_token_cache_key, val);
   }
 
   get id_token() {
-    if (this._id_token) return this._id_token;
-    if (this.user && this._getItem(this.id_token_cache_key)) {
-      return this._getItem(this.id_token_cache_key);
-    }
-
-    return null;
+    return this._id_token;
   }
 
   set decoded_id_token(val) {
     this._decoded_id_token = val;
-    val ? this._setItem(this.decoded_id_token_cache_key, JSON.stringify(val)) : this._removeItem(this.decoded_id_token_cache_key);
+    this._persist(this.decoded_id_token_cache_key, val ? JSON.stringify(val) : null);
   }
 
   get decoded_id_token() {
-    if (this._decoded_id_token) return this._decoded_id_token;
-    if (this.user && this._getItem(this.decoded_id_token_cache_key)) {
-      return JSON.parse(this._getItem(this.decoded_id_token_cache_key));
-    }
+    return this._decoded_id_token;
+  }
+
+  set userinfo(val) {
+    this._userinfo = val;
+    this._persist(this.userinfo_cache_key, val ? JSON.stringify(val) : null);
+  }
+
+  get userinfo() {
+    return this._userinfo;
+  }
 
-    return null;
+  /**
+   * Stores the value in the background (storage operations are queued, so order is preserved), removes it if empty
+   * @param {string} key
+   * @param {string|null} value
+   */
+  _persist(key, value) {
+    const operation = value ? this._setItem(key, value) : this._removeItem(key);
+    operation.catch((err) => {
+      this._emit("error", err);
+    });
+  }
+
+  /**
+   * Loads id_token, decoded id_token and userinfo of the stored session
+   */
+  async _restore_id_token() {
+    this._id_token = await this._getItem(this.id_token_cache_key);
+    const decoded = await this._getItem(this.decoded_id_token_cache_key);
+    this._decoded_id_token = decoded ? JSON.parse(decoded) : null;
+    const userinfo = await this._getItem(this.userinfo_cache_key);
+    this._userinfo = userinfo ? JSON.parse(userinfo) : null;
+  }
+
+  get userinfo_cache_key() {
+    return `${this.options.session_name}-userinfo`;
   }
 
   get decoded_id_token_cache_key() {
@@ -84,17 +247,21 @@ class PhoenixApiClient {
    * @return {Promise<boolean>}
    */
   async init_user() {
-    if (this.listeners["logging-in"]) {
-      this.listeners["logging-in"]();
+    this._emit("logging-in");
+    this._state_value = await this._getItem(this._state_storage_key);
+    this._nonce_value = await this._getItem(this._nonce_storage_key);
+    let user = await this._getItem(this.options.session_name);
+    if (user) {
+      user = JSON.parse(user);
+      await this._restore_id_token();
     }
-    let user = this._getItem(this.options.session_name);
-    if (user) user = JSON.parse(user);
     if (!(user && (await this.set_user(user)))) {
       await this._oauth();
     }
-    if (this.user && this.listeners["logged-in"]) {
-      this.listeners["logged-in"]();
-    }
+    if (this.user) this._emit("logged-in");
+    if (this.user && this.offline_queue) this.replay_offline_queue().catch((err) => this._emit("error", err));
+    // the sign in URL built by the oauth_url property uses the discovered authorization endpoint
+    if (!this.user) await this._load_discovery();
     return !!this.user;
   }
 
@@ -104,31 +271,37 @@ class PhoenixApiClient {
    */
   async _oauth() {
     if (this.user) return true;
-    const parse_query = (hash_string) => {
-      const hash = hash_string
-        .substr(1)
-        .split("&")
-        .filter((v) => !!v.length)
-        .map((v) => v.split("="));
-      const hashObject = {};
-      for (let i of Object.keys(hash)) {
-        hashObject[decodeURIComponent(hash[i][0])] = decodeURIComponent(
-          hash[i][1]
-        );
+    const location = this.environment.location();
+    if (!location) return false;
+    if (this._is_silent_callback(location)) return false;
+    const query = this._parse_query(location.search);
+    if (this.options.response_type === "code" && query["code"]) {
+      if (!this.options.ignore_state && (await this._getItem(this._state_storage_key)) !== query["state"]) {
+        this.logger.warn('"state" parameter doesn\'t match');
+        return false;
       }
-      return hashObject;
-    };
-    if (document.location.hash.includes("token_type=Bearer")) {
-      const hashObject = parse_query(document.location.hash);
-      if (!this.options.ignore_state && this._state !== hashObject["state"]) {
-        console.warn('"state" parameter doesn\'t match');
+      this._remove_oauth_query_params();
+      const tokens = await this._exchange_code(query["code"]);
+      if (!tokens) return false;
+      this.token = `${tokens["token_type"] || "Bearer"} ${tokens["access_token"]}`;
+      await this._load_user(this.token, false, tokens["refresh_token"] || null);
+      if (tokens["id_token"] && this.options.scope.includes('openid')) {
+        await this._accept_id_token(tokens["id_token"], await this._consume_nonce());
+      }
+      return true;
+    }
+    if (location.hash.includes("token_type=Bearer")) {
+      const hashObject = this._parse_query(location.hash);
+      if (!this.options.ignore_state && (await this._getItem(this._state_storage_key)) !== hashObject["state"]) {
+        this.logger.warn('"state" parameter doesn\'t match');
         return false;
       }
       this.token = `${hashObject["token_type"]} ${hashObject["access_token"]}`;
+      // removes the token from the URL, the code flow callback replaces its URL in _remove_oauth_query_params
+      this.environment.update_url(`${location.pathname}${location.search}`);
       await this._load_user(this.token);
       if (hashObject["id_token"] && this.options.scope.includes('openid')) {
-        this.id_token = hashObject["id_token"];
-        if (this.options.decode_id_token) this.decoded_id_token = await this.decode_id_token();
+        await this._accept_id_token(hashObject["id_token"], await this._consume_nonce());
       }
       return true;
     }
@@ -136,56 +309,382 @@ class PhoenixApiClient {
   }
 
   /**
-   * Returns state for OAuth
+   * Checks if the page is the silent renewal callback loaded in the hidden iframe,
+   * the parent window reads the code or token from its URL, so it must not be consumed here
+   * @param {Location} location
+   * @return {boolean}
+   */
+  _is_silent_callback(location) {
+    if (!this.options.silent_redirect_path || typeof this.environment.in_frame !== "function") return false;
+    const path = this.options.silent_redirect_path.split(/[?#]/)[0];
+    return location.pathname === path && this.environment.in_frame();
+  }
+
+  /**
+   * Parses URL query or hash
+   * @param {string} hash_string - query string or hash, including the leading "?" or "#"
+   * @return {object} parameters
+   */
+  _parse_query(hash_string) {
+    const hash = hash_string
+      .substr(1)
+      .split("&")
+      .filter((v) => !!v.length)
+      .map((v) => v.split("="));
+    const hashObject = {};
+    for (let i of Object.keys(hash)) {
+      hashObject[decodeURIComponent(hash[i][0])] = decodeURIComponent(
+        hash[i][1]
+      );
+    }
+    return hashObject;
+  }
+
+  /**
+   * Storage key for the OAuth state
+   * @return {string} storage key
+   */
+  get _state_storage_key() {
+    return `${this.options.session_name}_state`;
+  }
+
+  /**
+   * Returns state for OAuth, generates and stores a new one if not loaded by init_user
    * @return {string} state
    */
   get _state() {
-    const state_storage_key = `${this.options.session_name}_state`;
-    let state;
-    if (localStorage.getItem(state_storage_key)) {
-      state = localStorage.getItem(state_storage_key);
-    } else {
-      state = Math.floor(Math.random() * 10000000).toString();
-      localStorage.setItem(state_storage_key, state);
+    if (!this._state_value) {
+      this._state_value = Math.floor(Math.random() * 10000000).toString();
+      this._persist(this._state_storage_key, this._state_value);
+    }
+    return this._state_value;
+  }
+
+  /**
+   * Storage key for the OpenID Connect nonce
+   * @return {string} storage key
+   */
+  get _nonce_storage_key() {
+    return `${this.options.session_name}_nonce`;
+  }
+
+  /**
+   * Returns nonce sent with the authorization request, generates and stores a new one if not loaded by init_user
+   * @return {string} nonce
+   */
+  get _nonce() {
+    if (!this._nonce_value) {
+      const bytes = this.environment.crypto.getRandomValues(new Uint8Array(16));
+      this._nonce_value = Array.from(bytes, (x) => x.toString(16).padStart(2, "0")).join("");
+      this._persist(this._nonce_storage_key, this._nonce_value);
+    }
+    return this._nonce_value;
+  }
+
+  /**
+   * Removes the stored nonce, each nonce is accepted once
+   * @return {Promise<string>} nonce sent with the authorization request or null
+   */
+  async _consume_nonce() {
+    const nonce = this._nonce_value || (await this._getItem(this._nonce_storage_key));
+    this._nonce_value = null;
+    await this._removeItem(this._nonce_storage_key);
+    return nonce || null;
+  }
+
+  /**
+   * Storage key for the PKCE data persisted between the sign in redirect and the callback
+   * @return {string} storage key
+   */
+  get _pkce_storage_key() {
+    return `${this.options.session_name}_pkce`;
+  }
+
+  /**
+   * Generates PKCE code verifier and its S256 code challenge
+   * @return {Promise<object>} object with code_verifier and code_challenge
+   */
+  async _generate_pkce() {
+    const { crypto, base64_encode } = this.environment;
+    const to_base64_url = (bytes) => base64_encode(String.fromCharCode(...new Uint8Array(bytes)))
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+    const code_verifier = to_base64_url(crypto.getRandomValues(new Uint8Array(32)));
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(code_verifier));
+    return {
+      code_verifier,
+      code_challenge: to_base64_url(digest),
+    };
+  }
+
+  /**
+   * Exchanges the authorization code for tokens using the persisted PKCE code verifier
+   * @param {string} code - authorization code returned to the redirect uri
+   * @return {Promise<object>} token response or null if code verifier is not found
+   */
+  async _exchange_code(code) {
+    let pkce = await this._getItem(this._pkce_storage_key);
+    if (!pkce) {
+      this.logger.warn('PKCE code verifier not found');
+      return null;
+    }
+    pkce = JSON.parse(pkce);
+    await this._removeItem(this._pkce_storage_key);
+    return await this._token_request({
+      grant_type: "authorization_code",
+      code,
+      client_id: this.options.client_id,
+      redirect_uri: pkce.redirect_uri,
+      code_verifier: pkce.code_verifier,
+    });
+  }
+
+  /**
+   * Signs in with the client credentials grant (server side usage, requires client_secret option)
+   * @return {Promise<boolean>} true if the user is loaded
+   */
+  async sign_in_with_client_credentials() {
+    this._emit("logging-in");
+    const tokens = await this._token_request({
+      grant_type: "client_credentials",
+      client_id: this.options.client_id,
+      client_secret: this.options.client_secret,
+      scope: this.options.scope.join(" "),
+    });
+    this.token = `${tokens["token_type"] || "Bearer"} ${tokens["access_token"]}`;
+    await this._load_user(this.token, false, tokens["refresh_token"] || null);
+    if (this.user) this._emit("logged-in");
+    if (this.user && this.offline_queue) this.replay_offline_queue().catch((err) => this._emit("error", err));
+    return !!this.user;
+  }
+
+  /**
+   * Sends request to the OAuth token endpoint
+   * @param {object} params - form parameters
+   * @return {Promise<object>} token response
+   */
+  async _token_request(params) {
+    await this._load_discovery();
+    try {
+      return await this.fetch_response(this._endpoint("token_endpoint", `${this.options.oauth_api_url}/oauth/token`), {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(params).toString(),
+      });
+    } catch (err) {
+      this._emit("error", err);
+      throw err;
     }
-    return state;
+  }
+
+  /**
+   * Removes authorization code flow parameters from the current URL
+   */
+  _remove_oauth_query_params() {
+    const location = this.environment.location();
+    const params = new URLSearchParams(location.search);
+    params.delete("code");
+    params.delete("state");
+    const search = params.toString();
+    this.environment.update_url(`${location.pathname}${search ? `?${search}` : ""}${location.hash}`, true);
   }
 
   /**
    * Handles rate limit if enabled in the constructor options.
    * @param {object} err - The error object returned from he API
    * @param {function} callback - the method that will be executed right after rate limit ends
+   * @param {number} delay - milliseconds to wait, defaults to Retry-After of the response
+   * @param {AbortSignal} signal - cancels the scheduled retry
    * @return {Promise} result of resent request
    */
-  handle_rate_limit(err, callback) {
-    const seconds = err["@error"]["@rateLimit"]["Retry-After"] || 1;
-    console.warn(`Too much requests. Retry after ${seconds}s`);
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        callback()
-          .then(resolve)
-          .catch(reject);
-      }, seconds * 1000);
-    });
+  handle_rate_limit(err, callback, delay = null, signal = null) {
+    if (delay === null) delay = this._retry_after(err) || 1000;
+    this.logger.warn(`Too much requests. Retry after ${delay / 1000}s`);
+    this._emit("rate-limited", {error: err, retry_after: delay / 1000});
+    this._emit("retry", {reason: "rate-limit", error: err, delay});
+    return this._schedule_retry(callback, delay, signal);
   }
 
   /**
    * Handles internal server errors if enabled in the constructor options.
    * @param {object} err - The error object returned from he API
-   * @param {function} callback - the method that will be executed after 500ms
+   * @param {function} callback - the method that will be executed after the delay
+   * @param {number} delay - milliseconds to wait
+   * @param {AbortSignal} signal - cancels the scheduled retry
+   * @return {Promise} result of resent request
+   */
+  handle_internal_server_error(err, callback, delay = 500, signal = null) {
+    this.logger.warn("Internal server error. Retrying...", err);
+    this._emit("retry", {reason: "server-error", error: err, delay});
+    return this._schedule_retry(callback, delay, signal);
+  }
+
+  /**
+   * Handles network failures (fetch rejected without a response) if enabled in the retry policy.
+   * @param {object} err - The error thrown by fetch
+   * @param {function} callback - the method that will be executed after the delay
+   * @param {number} delay - milliseconds to wait
+   * @param {AbortSignal} signal - cancels the scheduled retry
    * @return {Promise} result of resent request
    */
-  handle_internal_server_error(err, callback) {
-    console.warn("Internal server error. Retrying...", err);
+  handle_network_error(err, callback, delay = 500, signal = null) {
+    this.logger.warn("Network error. Retrying...", err);
+    this._emit("retry", {reason: "network-error", error: err, delay});
+    return this._schedule_retry(callback, delay, signal);
+  }
+
+  /**
+   * Executes the callback after the delay, rejects without executing it if the signal is aborted
+   * @param {function} callback - function returning a promise
+   * @param {number} delay - milliseconds to wait
+   * @param {AbortSignal} signal - cancels the scheduled callback
+   * @return {Promise} callback result
+   */
+  _schedule_retry(callback, delay, signal = null) {
     return new Promise((resolve, reject) => {
-      setTimeout(() => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      const on_abort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", on_abort);
         callback()
           .then(resolve)
           .catch(reject);
-      }, 500);
+      }, delay);
+      if (signal) signal.addEventListener("abort", on_abort, {once: true});
     });
   }
 
+  /**
+   * Creates abort controller combining the signal and the timeout
+   * @param {AbortSignal} signal - signal provided by the caller
+   * @param {number} timeout - milliseconds after which the operation is aborted
+   * @return {object} signal (undefined if neither signal nor timeout is provided),
+   * clear() - removes the timer and listeners, error(err) - converts errors caused by aborting to AbortError or TimeoutError
+   */
+  _abort_controller(signal = null, timeout = null) {
+    if (!signal && !timeout) {
+      return {signal: undefined, clear: () => null, error: (err) => err};
+    }
+    const controller = new AbortController();
+    let timer = null;
+    const on_abort = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) controller.abort(signal.reason);
+      else signal.addEventListener("abort", on_abort, {once: true});
+    }
+    if (timeout) {
+      timer = setTimeout(() => controller.abort(this._abort_error(true, timeout)), timeout);
+    }
+    return {
+      signal: controller.signal,
+      clear: () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", on_abort);
+      },
+      error: (err) => {
+        if (!controller.signal.aborted) return err;
+        const reason = controller.signal.reason;
+        if (reason && reason.aborted) return reason;
+        return this._abort_error(false, null, reason);
+      },
+    };
+  }
+
+  /**
+   * Creates error thrown when the operation is cancelled
+   * @param {boolean} timed_out - true if the operation is aborted because of the timeout
+   * @param {number} timeout - timeout in milliseconds
+   * @param {*} reason - abort reason of the signal provided by the caller
+   * @return {AbortError|TimeoutError} error
+   */
+  _abort_error(timed_out, timeout = null, reason = null) {
+    const err = timed_out
+      ? new errors.TimeoutError(`Request timed out after ${timeout}ms`, {timeout})
+      : new errors.AbortError("Request aborted");
+    if (reason !== null) err.reason = reason;
+    return err;
+  }
+
+  /**
+   * Returns retry policy for the request, merging per call overrides into the client policy
+   * @param {object} context - request context
+   * @return {object|null} retry policy or null if retries are disabled for the request
+   */
+  _retry_policy(context) {
+    if (context.retry_policy === false) return null;
+    return {...this.options.retry, ...(context.retry_policy || {})};
+  }
+
+  /**
+   * Checks if the failed request should be retried. Without the methods of the policy, POST and PATCH requests
+   * are retried only after 429 (the request was not processed), a network error or a server error could duplicate them.
+   * @param {object} err - error object
+   * @param {object} context - request context
+   * @param {object} policy - retry policy
+   * @return {boolean}
+   */
+  _is_retryable(err, context, policy) {
+    if (!policy || context.attempt >= policy.max_attempts) return false;
+    if (policy.methods && !policy.methods.map((x) => x.toUpperCase()).includes(context.method)) return false;
+    if (policy.retryable) {
+      const result = policy.retryable(err, context);
+      if (result !== undefined) return !!result;
+    }
+    const idempotent = !!policy.methods || IDEMPOTENT_METHODS.includes(context.method);
+    if (this._is_network_error(err)) {
+      return idempotent && !!(policy.network_errors && this.options.handle_server_error);
+    }
+    if (policy.statuses) return policy.statuses.includes(err.status) && (idempotent || err.status === 429);
+    if (err.status === 429) return !!this.options.handle_rate_limit;
+    return idempotent && err.status >= 500 && err.status <= 599 && !!this.options.handle_server_error;
+  }
+
+  /**
+   * Checks if the error was thrown by fetch because the request couldn't be sent
+   * (fetch rejections are converted to NetworkError by fetch_response, other errors are not network errors)
+   * @param {object} err - error object
+   * @return {boolean}
+   */
+  _is_network_error(err) {
+    return err instanceof errors.NetworkError;
+  }
+
+  /**
+   * Calculates delay before the next attempt, exponential backoff with jitter, Retry-After is honored if provided
+   * @param {object} err - error object
+   * @param {object} context - request context
+   * @param {object} policy - retry policy
+   * @return {number} delay in milliseconds
+   */
+  _retry_delay(err, context, policy) {
+    const retry_after = this._retry_after(err);
+    if (retry_after !== null) return retry_after;
+    let delay = Math.min(policy.base_delay * Math.pow(policy.factor, context.attempt - 1), policy.max_delay);
+    if (policy.jitter) delay = delay / 2 + Math.random() * delay / 2;
+    return Math.round(delay);
+  }
+
+  /**
+   * Reads Retry-After from the response headers or the error body
+   * @param {object} err - error object
+   * @return {number|null} milliseconds to wait or null if not provided
+   */
+  _retry_after(err) {
+    let value = err && err.headers && typeof err.headers.get === "function" ? err.headers.get("Retry-After") : null;
+    if (value === null || value === undefined) {
+      value = err && err["@error"] && err["@error"]["@rateLimit"] ? err["@error"]["@rateLimit"]["Retry-After"] : null;
+    }
+    if (value === null || value === undefined || value === "") return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
   get_voip_id(data) {
     if (!Array.isArray(data.scope_details)) {
       throw new Error('scope_details property not available as array')
@@ -211,206 +710,560 @@ class PhoenixApiClient {
     throw new Error('PhoenixApiJsClient not able to find user id')
   }
 
+  /**
+   * Lists accounts from the access token details
+   * @param {object} data - access token details
+   * @return {Array<object>} accounts with voip_id and scopes
+   */
+  _accounts(data) {
+    const accounts = [];
+    for (const detail of (data && Array.isArray(data.scope_details)) ? data.scope_details : []) {
+      if (!detail.voip_id) continue;
+      let account = accounts.find((x) => x.voip_id === detail.voip_id);
+      if (!account) {
+        account = {voip_id: detail.voip_id, scopes: []};
+        accounts.push(account);
+      }
+      if (detail.scope && !account.scopes.includes(detail.scope)) account.scopes.push(detail.scope);
+    }
+    return accounts;
+  }
+
+  /**
+   * Accounts the access token has access to
+   * @return {Array<object>} accounts with voip_id and scopes
+   */
+  get accounts() {
+    return this.user ? this._accounts(this.user["access_token_details"]) : [];
+  }
+
+  /**
+   * Changes the account used for the API calls, the choice is stored with the session
+   * @param {number} id - voip_id of one of the accounts
+   * @param {boolean} broadcast - notifies other tabs about the change
+   * @return {Promise<object>} selected account
+   */
+  async switch_account(id, broadcast = true) {
+    if (!this.user) throw new Error('User is not signed in');
+    const account = this.accounts.find((x) => String(x.voip_id) === String(id));
+    if (!account) throw new Error(`Account ${id} is not available for the access token`);
+    const previous_id = this.user["id"];
+    if (previous_id === account.voip_id) return account;
+    this.user = {...this.user, id: account.voip_id};
+    if (this.user["expiration"]) {
+      await this._setItem(
+        this.options.session_name,
+        JSON.stringify(this.user, null, 2)
+      );
+    }
+    if (broadcast) this._broadcast({type: "account-changed", id: account.voip_id});
+    this._emit("account-changed", account.voip_id, previous_id);
+    return account;
+  }
+
   /**
    * Loads the user by the Bearer token, sets session expiration time
    * @param {string} token - Bearer token
-   * @param {number} _attempt - attempt number (used for retries limitation)
+   * @param {boolean} uses_token - if true, token will not be deleted on sign out
+   * @param {string} refresh_token - refresh token used for the silent renewal
    */
-  async _load_user(token, uses_token = false, _attempt = 1) {
-    try {
-      this.uses_token = uses_token;
-      const response = await this.call_api('get', "/v4/oauth/access-token/details", null, true, {}, token);
-      history.pushState(
-        "",
-        document.title,
-        `${window.location.pathname}${window.location.search}`
-      );
-      await this.set_user({
-        id: this.get_voip_id(response),
-        token: token,
-        expiration: response["expires_at"] ? response["expires_at"] * 1000 : null,
-        access_token_details: response
-      });
-    } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        await this.handle_rate_limit(err, async () => {
-          await this._load_user(token, _attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this._load_user(token, _attempt);
-        });
+  async _load_user(token, uses_token = false, refresh_token = null) {
+    const response = await this._fetch_token_details(token);
+    this.uses_token = uses_token;
+    await this.set_user(this._user_from_token_details(token, response, refresh_token));
+  }
+
+  /**
+   * Gets details of the access token
+   * @param {string} token - Bearer token
+   * @return {Promise<object>} token details
+   */
+  async _fetch_token_details(token) {
+    return await this.call_api('get', "/v4/oauth/access-token/details", null, true, {response_cache: false}, token);
+  }
+
+  /**
+   * Generates session user object
+   * @param {string} token - Bearer token
+   * @param {object} response - access token details
+   * @param {string} refresh_token - refresh token used for the silent renewal
+   * @return {object} user
+   */
+  _user_from_token_details(token, response, refresh_token = null) {
+    let id = this.get_voip_id(response);
+    // keeps the account selected by switch_account when the token is renewed
+    if (this.user && this._accounts(response).some((x) => x.voip_id === this.user["id"])) id = this.user["id"];
+    const user = {
+      id,
+      token: token,
+      expiration: response["expires_at"] ? response["expires_at"] * 1000 : null,
+      access_token_details: response
+    };
+    if (refresh_token) user.refresh_token = refresh_token;
+    return user;
+  }
+
+  /**
+   * Renews the access token without user interaction: uses the refresh token if available,
+   * client credentials if client_secret is set, hidden iframe with prompt=none in browsers otherwise.
+   * Requests sent during the renewal wait for the new token.
+   * @return {Promise<boolean>} true if the token is renewed
+   */
+  renew_session() {
+    if (this._renewing) return this._renewing;
+    this._renewing = this.environment.with_lock(`${this.options.session_name}-renew`, async () => {
+      try {
+        if (!this.user) return false;
+        if (await this._adopt_session_renewed_in_other_tab()) return true;
+        // only id_tokens of the authorization request contain the nonce, refreshed ones may omit it
+        const authorizes = !this.user["refresh_token"] && !this.options.client_secret;
+        const tokens = await this._silent_token_request();
+        const token = `${tokens["token_type"] || "Bearer"} ${tokens["access_token"]}`;
+        const response = await this._fetch_token_details(token);
+        await this.set_user(this._user_from_token_details(
+          token,
+          response,
+          tokens["refresh_token"] || this.user["refresh_token"] || null
+        ));
+        if (tokens["id_token"] && this.options.scope.includes('openid')) {
+          await this._accept_id_token(tokens["id_token"], authorizes ? await this._consume_nonce() : undefined);
+        }
+        this._emit("session-renewed", this.user);
+        return true;
+      } catch (err) {
+        this.logger.warn('Session could not be renewed', err);
+        return false;
       }
-      throw err;
+    }).finally(() => {
+      this._renewing = null;
+    });
+    return this._renewing;
+  }
+
+  /**
+   * Uses the session stored by another tab if it already renewed the token
+   * @return {Promise<boolean>} true if the stored session was adopted
+   */
+  async _adopt_session_renewed_in_other_tab() {
+    if (!this.tab_sync) return false;
+    let stored = await this._getItem(this.options.session_name);
+    stored = stored ? JSON.parse(stored) : null;
+    if (!stored || stored["token"] === this.user["token"] || stored["expiration"] <= this.user["expiration"]) return false;
+    await this.set_user(stored, false);
+    await this._restore_id_token();
+    return true;
+  }
+
+  /**
+   * Requests new tokens for the silent renewal
+   * @return {Promise<object>} token response
+   */
+  async _silent_token_request() {
+    if (this.user["refresh_token"]) {
+      return await this._token_request({
+        grant_type: "refresh_token",
+        refresh_token: this.user["refresh_token"],
+        client_id: this.options.client_id,
+      });
     }
+    if (this.options.client_secret) {
+      return await this._token_request({
+        grant_type: "client_credentials",
+        client_id: this.options.client_id,
+        client_secret: this.options.client_secret,
+        scope: this.options.scope.join(" "),
+      });
+    }
+    if (typeof this.environment.silent_authorize !== "function") {
+      throw new Error('Silent authorization is not available in this environment');
+    }
+    const is_code = this.options.response_type === "code";
+    const redirect_path = this.options.silent_redirect_path;
+    // the app loaded in the iframe would consume the code or token of the redirect itself
+    if (!redirect_path) throw new Error('silent_redirect_path is required for the hidden iframe authorization');
+    const url = is_code ? await this.get_oauth_url(redirect_path) : this._get_oauth_url(redirect_path, true);
+    const result = await this.environment.silent_authorize(`${url}&prompt=none`, this.options.silent_renew_timeout);
+    const params = this._parse_query(is_code ? result.search : result.hash);
+    if (params["error"]) throw new Error(`Silent authorization failed: ${params["error"]}`);
+    if (!this.options.ignore_state && params["state"] !== this._state) throw new Error('"state" parameter doesn\'t match');
+    if (is_code) return await this._exchange_code(params["code"]);
+    return params;
   }
 
   /**
    * Signs out the authenticated user
    */
   async sign_out(session_expired = false) {
-    if (this.listeners["logging-out"])
-      this.listeners["logging-out"]();
+    this._emit("logging-out");
     try {
-      if (this.options.id_token_sign_out && this.options.scope.includes('openid') && this.id_token) {
-        await this.delete_access_token();
-        this.openid_endsession(session_expired);
-      } else {
-        await this.delete_access_token();
-        this.post_sign_out(session_expired);
-      }
+      await this.environment.with_lock(`${this.options.session_name}-sign-out`, async () => {
+        if (await this._signed_out_in_other_tab()) {
+          await this.post_sign_out(session_expired, false);
+          return;
+        }
+        if (this.tab_sync && !this._id_token) await this._restore_id_token();
+        if (this.options.id_token_sign_out && this.options.scope.includes('openid') && this.id_token) {
+          await this.delete_access_token();
+          await this.openid_endsession(session_expired);
+        } else {
+          await this.delete_access_token();
+          await this.post_sign_out(session_expired);
+        }
+      });
     } catch (err) {
-      console.log(err);
+      this.logger.error('Sign out failed', err);
+    }
+  }
+
+  /**
+   * Checks if the shared session was already removed by another tab (only one tab deletes the access token)
+   * @return {Promise<boolean>}
+   */
+  async _signed_out_in_other_tab() {
+    if (!this.tab_sync) return false;
+    if (!this.user) return true;
+    if (!this.user["expiration"]) return false;
+    return !(await this._getItem(this.options.session_name));
+  }
+
+  /**
+   * Sends message to other tabs if session_scope is "browser"
+   * @param {object} message
+   */
+  _broadcast(message) {
+    if (!this.tab_sync) return;
+    try {
+      this.tab_sync.post(message);
+    } catch (err) {
+      this.logger.warn('Session could not be synchronized with other tabs', err);
+    }
+  }
+
+  /**
+   * Applies session changes made in other tabs
+   * @param {object} message - "user-changed", "account-changed" with id or "signed-out" with session_expired.
+   * Messages don't contain tokens, the changed session is read with the storage adapter.
+   */
+  async _handle_sync_message(message) {
+    if (!message) return;
+    if (message.type === "user-changed") {
+      let stored = await this._getItem(this.options.session_name);
+      stored = stored ? JSON.parse(stored) : null;
+      if (!stored || (this.user && this.user["token"] === stored["token"])) return;
+      const was_signed_in = !!this.user;
+      await this.set_user(stored, false);
+      await this._restore_id_token();
+      if (!was_signed_in) this._emit("logged-in");
+    } else if (message.type === "account-changed") {
+      if (this.user) await this.switch_account(message.id, false);
+    } else if (message.type === "signed-out") {
+      if (!this.user) return;
+      this._emit("logging-out");
+      await this.post_sign_out(message.session_expired, false);
+      if (message.session_expired) this._emit("session-expired");
     }
   }
 
   /*
-  * Cleans cache and calls logged-out callback if provided
+  * Cleans cache and calls logged-out callback if provided, notifies other tabs if broadcast is true
   */
-  post_sign_out(session_expired) {
+  async post_sign_out(session_expired, broadcast = true) {
+    const previous_token = this.user ? this.user["token"] : null;
     this.id_token = null;
     this.decoded_id_token = null;
+    this.userinfo = null;
     this.user = null;
-    this.reset_cache();
-    this._removeItem(this.options.session_name);
-    if (this.listeners["logged-out"] && !session_expired)
-      this.listeners["logged-out"]();
+    this._state_value = null;
+    this._clear_expiration_timers();
+    this._stop_watchers();
+    if (previous_token) this._emit("token-changed", null, previous_token);
+    await this.reset_cache();
+    await this._removeItem(this.options.session_name);
+    if (broadcast && previous_token) this._broadcast({type: "signed-out", session_expired: !!session_expired});
+    if (!session_expired) this._emit("logged-out");
   }
 
   /**
    * Goes to openid endsession route and comes back to project root route
    */
-  openid_endsession(session_expired) {
-    const redirect = `${document.location.protocol}//${document.location.host}`;
-    const uri = `${this.options.oauth_api_url}/connect/endsession?id_token_hint=${encodeURIComponent(this.id_token)}&post_logout_redirect_uri=${encodeURIComponent(redirect)}`;
-    this.post_sign_out(session_expired);
+  async openid_endsession(session_expired) {
+    await this._load_discovery();
+    const location = this.environment.location();
+    const redirect = location ? `${location.protocol}//${location.host}` : "";
+    const endpoint = this._endpoint("end_session_endpoint", `${this.options.oauth_api_url}/connect/endsession`);
+    const uri = `${endpoint}${endpoint.includes("?") ? "&" : "?"}id_token_hint=${encodeURIComponent(this.id_token)}&post_logout_redirect_uri=${encodeURIComponent(redirect)}`;
+    await this.post_sign_out(session_expired);
 
-    window.location.assign(uri);
+    this.environment.redirect(uri);
 
     return true;
   }
 
   /**
    * Deletes current access token
-   * @param {number} _attempt - attempt number (used for retries limitation)
    * @return {object} response object.
    */
-  async delete_access_token(_attempt = 1) {
+  async delete_access_token() {
+    if (this.uses_token) return true;
     try {
-      if (this.uses_token) return true;
-      const url = this._phoenix_url("/v4/oauth/access-token", true);
-      const headers = this._phoenix_auth_headers();
-      return await this.fetch_response(url, {method: "DELETE", headers});
+      return await this._request({
+        ...this._request_context("delete", "/v4/oauth/access-token", null, true),
+        passthrough_statuses: [401],
+      });
     } catch (err) {
       if (err.status === 401) {
         return null;
       }
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.delete_access_token(_attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.delete_access_token(_attempt);
-        });
-      }
-      if (this.listeners["error"]) this.listeners["error"](err);
-
       throw err;
     }
   }
 
+  /**
+   * Adds event listener
+   * @param {string} eventname - event name
+   * @param {function} callback - listener
+   * @return {function} function removing the listener
+   */
   on(eventname, callback) {
-    this.listeners[eventname] = callback;
+    this._adopt_listener(eventname);
+    this._listeners[eventname].push(callback);
+    this._update_listener(eventname);
+    return () => this.off(eventname, callback);
   }
 
   /**
-   * Signs out the user with expired session
+   * Adds event listener that is removed after the first call
+   * @param {string} eventname - event name
+   * @param {function} callback - listener
+   * @return {function} function removing the listener
    */
-  async handle_expired_session() {
-    await this.sign_out(true);
-    if (this.listeners["session-expired"]) this.listeners["session-expired"]();
+  once(eventname, callback) {
+    const listener = (...args) => {
+      this.off(eventname, listener);
+      return callback(...args);
+    };
+    listener.callback = callback;
+    return this.on(eventname, listener);
   }
 
   /**
-   * Performs check if user expiration date is passed
+   * Removes event listener, removes all listeners of the event if callback is not provided
+   * @param {string} eventname - event name
+   * @param {function} callback - listener
    */
-  _session_expired() {
-    return (this.expiration_timeout - Date.now() - 10000) < 0;
+  off(eventname, callback = null) {
+    this._adopt_listener(eventname);
+    this._listeners[eventname] = callback
+      ? this._listeners[eventname].filter((x) => x !== callback && x.callback !== callback)
+      : [];
+    this._update_listener(eventname);
   }
 
   /**
-   * Sets the user for the session, sets session expiration time
-   * @param {object} user - object with user id, token and expiration time
+   * Moves a function assigned directly to this.listeners[eventname] (as in 1.x) to the listeners of the event,
+   * so it isn't replaced by _update_listener. Like in 1.x, an assignment (including null) replaces the function
+   * assigned before
+   * @param {string} eventname - event name
    */
-  async set_user(user) {
-    this.user = user;
-    if (user["expiration"]) {
-      this.expiration_timeout = user["expiration"];
-      if (this._session_expired()) {
-        await this.handle_expired_session();
-      } else {
-        this._setItem(
-          this.options.session_name,
-          JSON.stringify(user, null, 2)
-        );
-        const max_timeout = 2147483647;
-        let timeout = user["expiration"] - Date.now() - 10000;
-        if (timeout > max_timeout) {
-          timeout = max_timeout;
-        }
-        setTimeout(await this.handle_expired_session.bind(this), timeout);
-      }
+  _adopt_listener(eventname) {
+    if (!this._listeners[eventname]) this._listeners[eventname] = [];
+    const listener = this.listeners[eventname];
+    if (listener === (this._dispatchers[eventname] || null)) return;
+    const previous = this._assigned_listeners[eventname];
+    this._listeners[eventname] = this._listeners[eventname].filter((x) => x !== previous);
+    this._assigned_listeners[eventname] = typeof listener === "function" ? listener : null;
+    if (typeof listener === "function") this._listeners[eventname].push(listener);
+  }
+
+  /**
+   * Sets this.listeners[eventname] to a function calling all listeners of the event, or null if there are none
+   * @param {string} eventname - event name
+   */
+  _update_listener(eventname) {
+    this._dispatchers[eventname] = this._listeners[eventname].length
+      ? (...args) => this._call_listeners(eventname, args)
+      : null;
+    this.listeners[eventname] = this._dispatchers[eventname];
+  }
+
+  /**
+   * Calls event listeners, see _call_listeners
+   * @param {string} eventname - event name
+   * @param {...*} args - listener arguments
+   */
+  _emit(eventname, ...args) {
+    const listener = this.listeners[eventname];
+    if (typeof listener !== "function") return;
+    // the function can be assigned directly, as in 1.x
+    try {
+      listener(...args);
+    } catch (err) {
+      this._listener_error(eventname, err);
+    }
+  }
+
+  /**
+   * Calls event listeners, errors thrown by a listener (or rejections of async listeners) don't prevent
+   * calling the others, they are logged and passed to "error" listeners
+   * @param {string} eventname - event name
+   * @param {Array} args - listener arguments
+   */
+  _call_listeners(eventname, args) {
+    for (const listener of [...(this._listeners[eventname] || [])]) {
+      try {
+        const result = listener(...args);
+        if (result && typeof result.then === "function") {
+          result.then(null, (err) => this._listener_error(eventname, err));
+        }
+      } catch (err) {
+        this._listener_error(eventname, err);
+      }
     }
   }
 
   /**
-   * Returns sign in page URL for the user
+   * Logs the error thrown by a listener and passes it to "error" listeners, unless it was thrown by one of them
+   * @param {string} eventname - event name
+   * @param {Error} err
+   */
+  _listener_error(eventname, err) {
+    this.logger.error(`Error in "${eventname}" listener`, err);
+    if (eventname !== "error") this._emit("error", err);
+  }
+
+  /**
+   * Signs out the user with expired session
+   */
+  async handle_expired_session() {
+    await this.sign_out(true);
+    this._emit("session-expired");
+  }
+
+  /**
+   * Performs check if user expiration date is passed
+   */
+  _session_expired() {
+    return (this.expiration_timeout - Date.now() - 10000) < 0;
+  }
+
+  /**
+   * Sets the user for the session, sets session expiration time
+   * @param {object} user - object with user id, token and expiration time
+   * @param {boolean} broadcast - notifies other tabs about the new user or token
+   */
+  async set_user(user, broadcast = true) {
+    const previous_token = this.user ? this.user["token"] : null;
+    this.user = user;
+    this._clear_expiration_timers();
+    if (user["token"] !== previous_token) this._emit("token-changed", user["token"], previous_token);
+    if (user["expiration"]) {
+      this.expiration_timeout = user["expiration"];
+      if (this._session_expired()) {
+        const renewed = this.options.silent_renew && !this._renewing && (await this.renew_session());
+        if (!renewed) await this.handle_expired_session();
+      } else {
+        await this._setItem(
+          this.options.session_name,
+          JSON.stringify(user, null, 2)
+        );
+        if (broadcast && user["token"] !== previous_token) this._broadcast({type: "user-changed"});
+        const max_timeout = 2147483647;
+        let timeout = user["expiration"] - Date.now() - 10000;
+        if (timeout > max_timeout) {
+          timeout = max_timeout;
+        }
+        const warning_timeout = timeout - this.options.session_expiring_lead_time;
+        if (this.options.session_expiring_lead_time && warning_timeout > 0) {
+          this._expiration_timers.push(this.environment.set_timeout(
+            () => this._emit("session-expiring", user["expiration"]),
+            warning_timeout
+          ));
+        }
+        if (this.options.silent_renew) {
+          this._expiration_timers.push(this.environment.set_timeout(
+            () => this.renew_session(),
+            Math.max(timeout - this.options.silent_renew_lead_time, 0)
+          ));
+        }
+        this._expiration_timers.push(this.environment.set_timeout(this.handle_expired_session.bind(this), timeout));
+      }
+    }
+  }
+
+  /**
+   * Cancels scheduled session-expiring and session expiration handlers
+   */
+  _clear_expiration_timers() {
+    for (const timer of this._expiration_timers) clearTimeout(timer);
+    this._expiration_timers = [];
+  }
+
+  /**
+   * Returns sign in page URL for the user (implicit flow, see get_oauth_url for the code flow)
    * @return {string} A _get_auth_link method result.
    */
   get oauth_url() {
     return this._get_oauth_url("", true);
   }
 
+  /**
+   * Returns sign in page URL for the configured response_type.
+   * For the "code" response_type generates and persists PKCE code verifier.
+   * @param {string} redirect_path - path to the specific redirect page
+   * @return {Promise<string>} sign in uri
+   */
+  async get_oauth_url(redirect_path = "") {
+    await this._load_discovery();
+    if (this.options.response_type !== "code") {
+      return this._get_oauth_url(redirect_path, true);
+    }
+    const pkce = await this._generate_pkce();
+    await this._setItem(this._pkce_storage_key, JSON.stringify({
+      code_verifier: pkce.code_verifier,
+      redirect_uri: this._redirect_uri(redirect_path),
+    }));
+    return this._get_oauth_url(redirect_path, false, pkce.code_challenge);
+  }
+
+  /**
+   * Generates redirect uri for the sign in page
+   * @param {string} redirect_path - path to the specific redirect page
+   * @return {string} redirect uri
+   */
+  _redirect_uri(redirect_path) {
+    const location = this.environment.location();
+    if (!location) return redirect_path;
+    return `${location.protocol}//${location.host}${redirect_path}`;
+  }
+
   /**
    * Generates sign in page URL for the user.
    * @param {string} redirect_path - path to the specific redirect page
    * @param {boolean} is_token - specifies is response_type in the uri should be
    * token (if true) or code  (if false)
+   * @param {string} code_challenge - PKCE code challenge (used with code response_type)
    * @return {string} sign in uri
    */
-  _get_oauth_url(redirect_path, is_token) {
-    const redirect = `${document.location.protocol}//${document.location.host}${redirect_path}`;
-    return `${this.options.accounts_url}/?client_id=${this.options.client_id
-      }&response_type=${is_token ? "token" : "code"}${this.options.scope.includes("openid") ? encodeURIComponent(" id_token") : ""}&scope=${encodeURIComponent(
+  _get_oauth_url(redirect_path, is_token, code_challenge = null) {
+    const redirect = this._redirect_uri(redirect_path);
+    const endpoint = this._endpoint("authorization_endpoint", `${this.options.accounts_url}/`);
+    return `${endpoint}${endpoint.includes("?") ? "&" : "?"}client_id=${this.options.client_id
+      }&response_type=${is_token ? "token" : "code"}${is_token && this.options.scope.includes("openid") ? encodeURIComponent(" id_token") : ""}&scope=${encodeURIComponent(
         this.options.scope.join(" ")
-      )}&redirect_uri=${encodeURIComponent(redirect)}${this.options.ignore_state ? '' : '&state=' + this._state}`;
+      )}&redirect_uri=${encodeURIComponent(redirect)}${this.options.ignore_state ? '' : '&state=' + this._state}${this.options.scope.includes("openid") ? '&nonce=' + this._nonce : ''}${code_challenge ? `&code_challenge=${code_challenge}&code_challenge_method=S256` : ''}`;
   }
 
   /**
    * Generates base url for the api calls
    * @param {string} uri - path to specific resource
    * @param {boolean} global - generates URL with "/v4/account/:account_id", true - generates url with "/v4" only
+   * @param {number} account_id - overrides the account of the user
    * @return {string} generated url
    */
-  _phoenix_url(uri, global = false) {
+  _phoenix_url(uri, global = false, account_id = null) {
     let url = this.options.phoenix_url;
     if (!global) {
-      url += `/v4/accounts/${this.user["id"]}`;
+      url += `/v4/accounts/${account_id || this.user["id"]}`;
     }
     return `${url}${uri}`;
   }
@@ -429,22 +1282,22 @@ class PhoenixApiClient {
 
   /**
    * Gets all items specified in the uri.
-   * @param {string} uri - target resource uri
+   * @param {string|Query} uri - target resource uri or query
    * @param {boolean} global - generates URL with "/v4/account/:account_id", true - generates url with "/v4" only
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal" and "timeout",
+   * "concurrency" - number of pages fetched in parallel after the first one (1 - pages are fetched one by one)
    * @return {object} object containing all requested items
    */
-  async get_list_all(uri, global = false) {
+  async get_list_all(uri, global = false, options = {}) {
+    const { concurrency = 1, ...request_options } = options;
     let all = [];
-    let res;
-    do {
-      res = await this.get_list(
-        uri,
-        500,
-        res ? res["offset"] + res["limit"] : 0,
-        global
-      );
-      all = all.concat(res["items"]);
-    } while (res["total"] > all.length && res["items"].length);
+    if (concurrency > 1) {
+      all = await this._get_list_all_concurrently(uri, global, request_options, concurrency);
+    } else {
+      for await (const page of this.iterate_pages(uri, {...request_options, global})) {
+        all = all.concat(page["items"]);
+      }
+    }
     return {
       items: all,
       offset: 0,
@@ -454,404 +1307,1420 @@ class PhoenixApiClient {
   }
 
   /**
-   * Gets items specified in the uri.
-   * @param {string} uri - target resource uri
-   * @param {number} limit - API limit
-   * @param {number} offset - API offset
+   * Fetches the first page, then uses its total to fetch remaining pages in parallel, keeping the order of items
+   * @param {string|Query} uri - target resource uri or query
    * @param {boolean} global - generates URL with "/v4/account/:account_id", true - generates url with "/v4" only
-   * @param {number} _attempt - attempt number (used for retries limitation)
-   * @return {object} object containing requested items
+   * @param {object} options - request options
+   * @param {number} concurrency - maximum number of pages fetched at the same time
+   * @return {Promise<object[]>} all items
    */
-  async get_list(uri, limit = 25, offset = 0, global = false, _attempt = 1) {
+  async _get_list_all_concurrently(uri, global, options, concurrency) {
+    const abort = this._abort_controller(options.signal, options.timeout);
+    const page_options = {...options, signal: abort.signal, timeout: null};
+    const query = this._resolve_list_uri(uri);
     try {
-      if (limit && _attempt === 1) {
-        uri += uri.includes("?") ? "&" : "?";
-        uri += "limit=" + limit;
-        if (offset) uri += "&offset=" + offset;
+      const first = await this.get_list(query.uri, query.limit || 500, query.offset || 0, global, page_options);
+      const limit = first["limit"] || query.limit || 500;
+      const offsets = [];
+      if (first["items"].length) {
+        for (let offset = first["offset"] + limit; offset < first["total"]; offset += limit) {
+          offsets.push(offset);
+        }
       }
-      const r = await this.call_api('get', global ? ('/v4' + uri) : uri, null, global);
-      return {
-        items: r["items"],
-        offset: r["offset"],
-        total: r["total"],
-        limit: r["limit"],
-      };
+      const pages = await this._map_concurrently(
+        offsets,
+        concurrency,
+        (offset, index, signal) => this.get_list(query.uri, limit, offset, global, {...page_options, signal}),
+        abort.signal
+      );
+      return [first, ...pages].reduce((all, page) => all.concat(page["items"]), []);
     } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.get_list(uri, limit, offset, global, _attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.get_list(uri, limit, offset, global, _attempt);
-        });
-      }
-      throw err;
+      throw abort.error(err);
+    } finally {
+      abort.clear();
     }
   }
 
   /**
-   * Gets the item specified in the uri
-   * @param {string} uri - target resource uri
-   * @param {number} _attempt - attempt number (used for retries limitation)
-   * @return {object} response object.
+   * Iterates over pages of items specified in the uri, the next page is requested when the previous one is consumed.
+   * Signal and timeout apply to the whole iteration.
+   * @param {string|Query} uri - target resource uri or query
+   * @param {object} options - "limit" - page size (default: query limit or 500), "offset" - offset of the first page,
+   * "global" - generates url with "/v4" only, request options: fetch options, "retry" policy overrides, "signal" and "timeout"
+   * @return {AsyncGenerator<object>} pages containing items, offset, total and limit
    */
-  async get_item(uri, _attempt = 1) {
+  async *iterate_pages(uri, options = {}) {
+    const query = this._resolve_list_uri(uri);
+    const {
+      limit = query.limit || 500,
+      offset = query.offset || 0,
+      global = false,
+      ...request_options
+    } = options;
+    const abort = this._abort_controller(request_options.signal, request_options.timeout);
+    const page_options = {...request_options, signal: abort.signal, timeout: null};
+    let fetched = 0;
+    let next = offset;
+    let res;
     try {
-      const item = await this.call_api('get', uri);
-      return item;
+      do {
+        if (abort.signal && abort.signal.aborted) throw abort.signal.reason;
+        res = await this.get_list(query.uri, limit, next, global, page_options);
+        fetched += res["items"].length;
+        yield res;
+        next = res["offset"] + res["limit"];
+      } while (res["total"] > offset + fetched && res["items"].length);
     } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.get_item(uri, _attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.get_item(uri, _attempt);
-        });
+      throw abort.error(err);
+    } finally {
+      abort.clear();
+    }
+  }
+
+  /**
+   * Iterates over items specified in the uri, pages are requested on demand
+   * @param {string|Query} uri - target resource uri or query
+   * @param {object} options - see iterate_pages
+   * @return {AsyncGenerator<object>} items
+   */
+  async *iterate_list(uri, options = {}) {
+    for await (const page of this.iterate_pages(uri, options)) {
+      yield* page["items"];
+    }
+  }
+
+  /**
+   * Creates query builder for list requests
+   * @param {string} uri - target resource uri
+   * @return {Query} query that can be passed to get_list, get_list_all, iterate_list and iterate_pages
+   */
+  query(uri) {
+    return new Query(uri);
+  }
+
+  /**
+   * Watches the list for changes: polls it, diffs the snapshots by the item key and emits
+   * "created", "updated", "deleted", "snapshot" and "error" events of the returned subscription.
+   * Identical watch calls share one poller, watchers are stopped on sign out.
+   * @param {string|Query} uri - target resource uri or query
+   * @param {object} options - interval (milliseconds, default 10000), max_interval (default 300000), key (default "id"),
+   * compare (function returning true if the item is unchanged), keep_alive (polling keeps the Node.js process alive, default true),
+   * signal (stops the subscription), global and request options (priority is "low" by default)
+   * @return {WatchSubscription} subscription with on, off, refresh, stop and snapshot
+   */
+  watch(uri, options = {}) {
+    const {
+      interval = 10000, max_interval = 300000, key = "id", compare = null, keep_alive = true, global = false, signal, ...request_options
+    } = options;
+    const id = JSON.stringify([this._resolve_list_uri(uri), global, interval, max_interval, keep_alive, request_options]);
+    let watcher = this._watchers.find((x) => x.id === id && x.options.key === key && x.options.compare === compare);
+    if (!watcher) {
+      watcher = new Watcher(
+        (signal) => this.get_list_all(uri, global, {priority: "low", ...request_options, signal, response_cache: false})
+          .then((response) => response["items"]),
+        this.environment,
+        {
+          interval,
+          max_interval,
+          key,
+          compare,
+          keep_alive,
+          on_stop: (stopped) => {
+            this._watchers = this._watchers.filter((x) => x !== stopped);
+          },
+          on_listener_error: (err, eventname) => this.logger.error(`Error in watcher "${eventname}" listener`, err),
+        }
+      );
+      watcher.id = id;
+      this._watchers.push(watcher);
+    }
+    const subscription = watcher.subscribe();
+    if (signal) {
+      if (signal.aborted) subscription.stop();
+      else signal.addEventListener("abort", () => subscription.stop(), {once: true});
+    }
+    return subscription;
+  }
+
+  /**
+   * Stops all watchers
+   */
+  _stop_watchers() {
+    for (const watcher of [...this._watchers]) watcher.stop();
+    this._watchers = [];
+  }
+
+  /**
+   * Converts query to uri, limit and offset
+   * @param {string|Query} uri - target resource uri or query
+   * @return {object} uri, limit and offset (null if not set by the query)
+   */
+  _resolve_list_uri(uri) {
+    if (uri instanceof Query) {
+      return {uri: uri.to_uri(), limit: uri.limit_value, offset: uri.offset_value};
+    }
+    return {uri, limit: null, offset: null};
+  }
+
+  /**
+   * Calls the callback for each item with limited concurrency. After the first failure no new calls are started
+   * and the signal passed to the pending ones is aborted.
+   * @param {Array} items - callback arguments
+   * @param {number} concurrency - maximum number of pending callbacks
+   * @param {function} callback - async function called with item, its index and AbortSignal
+   * @param {AbortSignal} signal - signal of the caller, aborts the pending calls as well
+   * @return {Promise<Array>} callback results in the order of items
+   */
+  async _map_concurrently(items, concurrency, callback, signal = null) {
+    const controller = new AbortController();
+    const on_abort = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) controller.abort(signal.reason);
+      else signal.addEventListener("abort", on_abort, {once: true});
+    }
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+    const worker = async () => {
+      while (next < items.length && !failed) {
+        const index = next++;
+        try {
+          results[index] = await callback(items[index], index, controller.signal);
+        } catch (err) {
+          if (!failed) controller.abort(err);
+          failed = true;
+          throw err;
+        }
       }
-      throw err;
+    };
+    try {
+      await Promise.all(Array.from({length: Math.min(Math.max(concurrency, 1), items.length)}, worker));
+    } finally {
+      if (signal) signal.removeEventListener("abort", on_abort);
     }
+    return results;
+  }
+
+  /**
+   * Gets items specified in the uri.
+   * @param {string|Query} uri - target resource uri or query (query limit and offset take precedence over the arguments)
+   * @param {number} limit - API limit
+   * @param {number} offset - API offset
+   * @param {boolean} global - generates URL with "/v4/account/:account_id", true - generates url with "/v4" only
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
+   * @return {object} object containing requested items
+   */
+  async get_list(uri, limit = 25, offset = 0, global = false, options = {}) {
+    const query = this._resolve_list_uri(uri);
+    uri = query.uri;
+    if (query.limit !== null) limit = query.limit;
+    if (query.offset !== null) offset = query.offset;
+    if (limit) {
+      uri += uri.includes("?") ? "&" : "?";
+      uri += "limit=" + limit;
+      if (offset) uri += "&offset=" + offset;
+    }
+    const r = await this.call_api('get', global ? ('/v4' + uri) : uri, null, global, options);
+    return {
+      items: r["items"],
+      offset: r["offset"],
+      total: r["total"],
+      limit: r["limit"],
+    };
+  }
+
+  /**
+   * Gets the item specified in the uri
+   * @param {string} uri - target resource uri
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
+   * @return {object} response object.
+   */
+  async get_item(uri, options = {}) {
+    return await this.call_api('get', uri, null, false, options);
   }
 
   /**
    * Deletes the item specified in the uri
    * @param {string} uri - target resource uri
-   * @param {number} _attempt - attempt number (used for retries limitation)
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
    * @return {object} response object.
    */
-  async delete_item(uri, _attempt = 1) {
+  async delete_item(uri, options = {}) {
+    return await this.call_api('delete', uri, null, false, options);
+  }
+
+  /**
+   * Downloads the item specified in the uri. Requests temporary URL of the file (get_temp_url=1) and downloads it,
+   * endpoints responding with the file directly are supported as well.
+   * @param {string} uri - target resource uri
+   * @param {object} options - "response_type" - "blob" (default), "arraybuffer" or "stream" (ReadableStream),
+   * "on_progress" - called with {loaded, total, percent} when a chunk is received (total is taken from Content-Length),
+   * "direct" - requests the uri without get_temp_url, "to_file" - path the file is written to (Node.js only),
+   * request options: fetch options, "retry" policy overrides, "signal", "timeout" (applies until the file is read) and "account_id"
+   * @return {Promise<Blob|ArrayBuffer|ReadableStream|object>} file content, {path, size} if "to_file" is used
+   */
+  async download_item(uri, options = {}) {
+    const {
+      response_type = "blob",
+      on_progress = null,
+      direct = false,
+      to_file = null,
+      ...request_options
+    } = options;
+    if (!download.RESPONSE_TYPES.includes(response_type)) {
+      throw new Error(`Invalid download response_type "${response_type}", allowed: ${download.RESPONSE_TYPES.join(", ")}`);
+    }
+    if (to_file && typeof this.environment.write_file !== "function") {
+      throw new Error('Downloading to a file is available in Node.js (HeadlessEnvironment) only');
+    }
+    const abort = this._abort_controller(request_options.signal, request_options.timeout);
+    let streaming = false;
     try {
-      const item = await this.call_api('delete', uri);
-      return item;
-    } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.delete_item(uri, _attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.delete_item(uri, _attempt);
-        });
+      const item_uri = direct || uri.includes('?') ? uri : `${uri}?get_temp_url=1`;
+      let response = await this.call_api('get', item_uri, null, false, {
+        ...request_options,
+        signal: abort.signal,
+        timeout: null,
+        response_cache: false,
+        responseType: 'response',
+      });
+      if (download.is_json(response)) {
+        const item = await response.json();
+        // the temporary URL is not an API endpoint, it is fetched without the token and middlewares
+        try {
+          response = await this.fetch_response(item.url, {signal: abort.signal, responseType: 'response'});
+        } catch (err) {
+          if (abort.signal && abort.signal.aborted) throw err;
+          if (err instanceof errors.PhoenixApiError && err.status) {
+            err.message = `Download of the temporary URL failed with status ${err.status}`;
+          }
+          this._emit("error", err);
+          throw err;
+        }
       }
-      throw err;
+      streaming = response_type === "stream" || !!to_file;
+      const body = await download.read_body(response, streaming ? "stream" : response_type, on_progress, abort.clear);
+      if (!to_file) return body;
+      const size = await this.environment.write_file(to_file, body);
+      return {path: to_file, size};
+    } catch (err) {
+      throw abort.error(err);
+    } finally {
+      if (!streaming || to_file) abort.clear();
     }
   }
 
   /**
-   * Downloads the item specified in the uri
+   * Uploads the file to the uri, sends multipart/form-data or JSON with base64 encoded file
    * @param {string} uri - target resource uri
-   * @param {number} _attempt - attempt number (used for retries limitation)
+   * @param {object} data - "file" - File, Blob, ArrayBuffer, typed array or Buffer (base64 string or data URL for the "base64" encoding),
+   * "fields" - other request fields, "filename", "field_name" - name of the file field (default: "file"),
+   * "encoding" - "multipart" (default) or "base64", "method" - HTTP method (default: "post"),
+   * "on_progress" - called with {loaded, total, percent} while the file is uploaded
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
    * @return {object} response object.
    */
-  async download_item(uri, _attempt = 1) {
-    try {
-      const item = await this.call_api('get', uri + (uri.includes('?') ? '' : '?get_temp_url=1'), null, false);
-      const response = await fetch(item.url);
-      return await response.blob();
-    } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.download_item(uri, _attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.download_item(uri, _attempt);
-        });
+  async upload_item(uri, data, options = {}) {
+    const {
+      file,
+      fields = {},
+      filename = null,
+      field_name = "file",
+      encoding = "multipart",
+      method = "post",
+      on_progress = null,
+    } = data || {};
+    if (!upload.is_file(file)) throw new Error("Upload file must be File, Blob, ArrayBuffer, typed array or non-empty string");
+    if (!["multipart", "base64"].includes(encoding)) throw new Error(`Invalid upload encoding "${encoding}", allowed: multipart, base64`);
+    const context = this._request_context(method, uri, null, false, options);
+    if (encoding === "base64") {
+      context.body = {...fields, [field_name]: await upload.to_base64(file, this.environment.base64_encode)};
+      context.options.body = JSON.stringify(context.body);
+      context.options.headers = {...context.options.headers, "Content-Type": "application/json"};
+    } else {
+      const form = new FormData();
+      for (const name of Object.keys(fields)) {
+        const value = fields[name];
+        form.append(name, value !== null && typeof value === "object" ? JSON.stringify(value) : value);
       }
-      throw err;
+      form.append(field_name, upload.to_blob(file), filename || file.name || "file");
+      context.body = form;
+      context.options.body = form;
     }
+    const size = upload.byte_size(file);
+    let completed = false;
+    const report = (loaded, total) => {
+      completed = total !== null && loaded >= total;
+      on_progress({loaded, total, percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null});
+    };
+    if (on_progress) context.on_upload_progress = (event) => report(event.loaded, event.total);
+    const response = await this._request(context);
+    if (on_progress && !completed) report(size, size);
+    return response;
   }
 
   /**
    * Sends PUT request to update the item specified in the uri
    * @param {string} uri - target resource uri
    * @param {object} data - data that should be updated
-   * @param {number} _attempt - attempt number (used for retries limitation)
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
    * @return {object} response object.
    */
-  async replace_item(uri, data, _attempt = 1) {
-    try {
-      const item = await this.call_api('put', uri, data);
-      return item;
-    } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.replace_item(uri, data, _attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.replace_item(uri, data, _attempt);
-        });
-      }
-      throw err;
-    }
+  async replace_item(uri, data, options = {}) {
+    return await this.call_api('put', uri, data, false, options);
   }
 
   /**
    * Sends PATCH request to update the item specified in the uri
    * @param {string} uri - target resource uri
    * @param {object} data - data that should be updated
-   * @param {number} _attempt - attempt number (used for retries limitation)
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
    * @return {object} response object.
    */
-  async patch_item(uri, data, _attempt = 1) {
-    try {
-      const item = await this.call_api('patch', uri, data);
-      return item;
-    } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.patch_item(uri, data, _attempt);
-        });
-      }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.patch_item(uri, data, _attempt);
-        });
-      }
-      throw err;
-    }
+  async patch_item(uri, data, options = {}) {
+    return await this.call_api('patch', uri, data, false, options);
   }
 
   /**
    * Created the resource specified in the uri
    * @param {string} uri - target resource uri
    * @param {object} data - data that should be created
-   * @param {number} _attempt - attempt number (used for retries limitation)
+   * @param {object} options - request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
    * @return {object} response object.
    */
-  async create_item(uri, data, _attempt = 1) {
-    try {
-      const item = await this.call_api('post', uri, data);
-      return item;
-    } catch (err) {
-      if (err.status === 429 && this.options.handle_rate_limit) {
-        return await this.handle_rate_limit(err, async () => {
-          return await this.create_item(uri, data, _attempt);
-        });
+  async create_item(uri, data, options = {}) {
+    return await this.call_api('post', uri, data, false, options);
+  }
+
+  /**
+   * Creates the items in the collection specified in the uri, sends POST request for each item
+   * @param {string} uri - target collection uri
+   * @param {Array<object>} items - data of the items
+   * @param {object} options - see _bulk
+   * @return {Promise<Array<object>>} per item results
+   */
+  bulk_create(uri, items, options = {}) {
+    return this._bulk('post', items, () => uri, (data) => data, options);
+  }
+
+  /**
+   * Updates the items of the collection specified in the uri, sends PATCH request for each item
+   * @param {string} uri - target collection uri
+   * @param {Array<object>} items - objects with id and data
+   * @param {object} options - see _bulk
+   * @return {Promise<Array<object>>} per item results
+   */
+  bulk_patch(uri, items, options = {}) {
+    return this._bulk('patch', items, (item) => this._bulk_item_uri(uri, item["id"]), (item) => item["data"], options);
+  }
+
+  /**
+   * Replaces the items of the collection specified in the uri, sends PUT request for each item
+   * @param {string} uri - target collection uri
+   * @param {Array<object>} items - objects with id and data
+   * @param {object} options - see _bulk
+   * @return {Promise<Array<object>>} per item results
+   */
+  bulk_replace(uri, items, options = {}) {
+    return this._bulk('put', items, (item) => this._bulk_item_uri(uri, item["id"]), (item) => item["data"], options);
+  }
+
+  /**
+   * Deletes the items of the collection specified in the uri, sends DELETE request for each item
+   * @param {string} uri - target collection uri
+   * @param {Array<string|number>} ids - ids of the items
+   * @param {object} options - see _bulk
+   * @return {Promise<Array<object>>} per item results
+   */
+  bulk_delete(uri, ids, options = {}) {
+    return this._bulk('delete', ids, (id) => this._bulk_item_uri(uri, id), () => null, options);
+  }
+
+  /**
+   * @param {string} uri - collection uri
+   * @param {string|number} id - item id
+   * @return {string} item uri
+   */
+  _bulk_item_uri(uri, id) {
+    if (id === undefined || id === null || id === "") throw new Error("Bulk operation item id is required");
+    return `${uri.replace(/\/+$/, "")}/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Sends request for each item with limited concurrency. Failed requests don't stop the operation,
+   * requests not started before the signal is aborted or the timeout is reached fail with AbortError or TimeoutError.
+   * @param {string} method - HTTP method
+   * @param {Array} items - bulk operation items
+   * @param {function} uri_of - returns request uri for the item
+   * @param {function} data_of - returns request body for the item
+   * @param {object} options - "concurrency" - maximum number of pending requests (default: 5),
+   * "on_progress" - called with progress after each item, request options: fetch options, "retry" policy overrides, "signal", "timeout" and "account_id"
+   * @return {Promise<Array<object>>} results in the order of items: index, item, success, response, error and attempts
+   */
+  async _bulk(method, items, uri_of, data_of, options = {}) {
+    const { concurrency = 5, on_progress = null, ...request_options } = options;
+    const abort = this._abort_controller(request_options.signal, request_options.timeout);
+    const item_options = {...request_options, signal: abort.signal, timeout: null};
+    const progress = {total: items.length, completed: 0, succeeded: 0, failed: 0};
+    // failures are reported in the results, so the other requests are not cancelled
+    const send = async (item, index) => {
+      const result = {index, item, success: false, response: null, error: null, attempts: 0};
+      let context = null;
+      try {
+        if (abort.signal && abort.signal.aborted) throw abort.signal.reason;
+        context = this._request_context(method, uri_of(item), data_of(item), false, item_options);
+        result.response = await this._request(context);
+        result.success = true;
+      } catch (err) {
+        result.error = abort.error(err);
       }
-      if (
-        err.status >= 500 &&
-        err.status <= 599 &&
-        this.options.handle_server_error &&
-        _attempt <= this.options.handle_server_error
-      ) {
-        await this.handle_internal_server_error(err, async () => {
-          _attempt++;
-          return await this.create_item(uri, data, _attempt);
-        });
+      if (context) result.attempts = context.stats.attempts;
+      progress.completed++;
+      progress[result.success ? "succeeded" : "failed"]++;
+      const report = {...progress, result};
+      if (on_progress) {
+        try {
+          on_progress(report);
+        } catch (err) {
+          this.logger.error('Error in bulk operation on_progress callback', err);
+        }
       }
-      throw err;
+      this._emit("bulk-progress", report);
+      return result;
+    };
+    try {
+      return await this._map_concurrently(items, concurrency, send);
+    } finally {
+      abort.clear();
+    }
+  }
+
+  /**
+   * Stores the id_token returned with the access token. With decode_id_token option the token is validated,
+   * otherwise only its "nonce" claim is checked. The id_token is not stored if it is rejected.
+   * @param {string} id_token
+   * @param {string} nonce - nonce sent with the authorization request (not checked if undefined)
+   */
+  async _accept_id_token(id_token, nonce) {
+    if (this.options.decode_id_token) {
+      const payload = await this._validated_payload(id_token, {nonce});
+      if (!payload) return;
+      this.id_token = id_token;
+      this.decoded_id_token = payload;
+      return;
+    }
+    if (nonce !== undefined && (!nonce || this._id_token_claim(id_token, "nonce") !== nonce)) {
+      this.logger.warn('id_token "nonce" claim doesn\'t match, the id_token is ignored');
+      this.id_token_validation = {valid: false, reason: "invalid_nonce", message: '"nonce" claim doesn\'t match'};
+      return;
+    }
+    this.id_token_validation = null;
+    this.id_token = id_token;
+  }
+
+  /**
+   * Reads a claim of the id_token payload without validating the token
+   * @param {string} id_token
+   * @param {string} name - claim name
+   * @return {*} claim value or undefined if the token can't be decoded
+   */
+  _id_token_claim(id_token, name) {
+    try {
+      const payload = JSON.parse(this.environment.base64_decode(id_token.split('.')[1]));
+      return payload ? payload[name] : undefined;
+    } catch (err) {
+      return undefined;
     }
   }
 
   /**
-   * Decodes id token, validates the signature
+   * Decodes id token, validates the signature and the claims. The failure reason is stored in this.id_token_validation.
+   * @param {object} options - nonce: expected "nonce" claim (not checked if undefined)
    * @return {object} token payload or null.
    */
-  async decode_id_token() {
+  async decode_id_token(options = {}) {
     if (!this.id_token) {
-      console.warn('id_token not found');
+      this.logger.warn('id_token not found');
+      this.id_token_validation = {valid: false, reason: "missing_token", message: "id_token not found"};
       return null;
     }
+    return await this._validated_payload(this.id_token, options);
+  }
+
+  /**
+   * Validates the id_token, stores the result in this.id_token_validation
+   * @param {string} id_token
+   * @param {object} options - see validate_id_token
+   * @return {Promise<object>} token payload or null
+   */
+  async _validated_payload(id_token, options = {}) {
+    const result = await this.validate_id_token(id_token, options);
+    this.id_token_validation = {valid: result.valid, reason: result.reason || null, message: result.message || null};
+    if (!result.valid) {
+      this.logger.warn(`Your id_token could not be validated: ${result.message}`);
+      return null;
+    }
+    return result.payload;
+  }
+
+  /**
+   * Validates OpenID Connect id_token: signature by the key of the pinned issuer selected by "kid",
+   * issuer, audience, expiration, issue time, not before (with clock_skew option) and nonce.
+   * @param {string} id_token
+   * @param {object} options - nonce: expected "nonce" claim (not checked if undefined), now: current time in milliseconds
+   * @return {Promise<object>} {valid, payload, header} or {valid: false, reason, message}
+   */
+  async validate_id_token(id_token, options = {}) {
+    const invalid = (reason, message) => ({valid: false, reason, message});
+    let header;
+    let payload;
+    try {
+      const tokenparts = id_token.split('.');
+      if (tokenparts.length !== 3) throw new Error('Invalid number of segments');
+      header = JSON.parse(this.environment.base64_decode(tokenparts[0]));
+      payload = JSON.parse(this.environment.base64_decode(tokenparts[1]));
+    } catch (err) {
+      return invalid("malformed", 'Error decoding your ID token.');
+    }
+    if (!ALGORITHMS.includes(header.alg)) return invalid("unsupported_algorithm", `Algorithm "${header.alg}" is not allowed`);
+    let key;
+    try {
+      key = await this.jwks.get_key(header);
+    } catch (err) {
+      this.logger.debug('Signing keys could not be loaded', err);
+      return invalid("keys_unavailable", 'Signing keys could not be loaded.');
+    }
+    if (!key) return invalid("key_not_found", 'Matching key could not be found.');
+    let verified = false;
     try {
-      const tokenparts = this.id_token.split('.');
-      const header = JSON.parse(atob(tokenparts[0]));
-      const payload = JSON.parse(atob(tokenparts[1]));
+      verified = jws.verify(id_token, header.alg, jwkToPem(key));
+    } catch (err) {
+      verified = false;
+    }
+    if (!verified) return invalid("invalid_signature", 'Signature is not valid.');
+    const claims = validate_claims(payload, {
+      issuer: this._issuer,
+      audience: this.options.client_id,
+      nonce: options.nonce,
+      clock_skew: this.options.clock_skew,
+      now: options.now,
+    });
+    if (!claims.valid) return claims;
+    return {valid: true, payload, header};
+  }
 
-      const configuration = await this.fetch_response(`${payload.iss}/.well-known/openid-configuration/`);
-      const keys = await this.fetch_response(configuration.keys);
+  /**
+   * Issuer of the id_tokens, keys are always fetched from its discovery document, never from the "iss" of a token
+   * @return {string} issuer
+   */
+  get _issuer() {
+    return (this.options.issuer || this.options.oauth_api_url).replace(/\/+$/, "");
+  }
 
-      const alg = header.alg;
-      const key = keys.data.keys.find(x => x.alg === alg);
+  /**
+   * Fetches signing keys of the issuer (used by this.jwks cache)
+   * @return {Promise<Array>} JWKs
+   */
+  async _load_jwks() {
+    const configuration = await this.discover();
+    const keys = await this.fetch_response(configuration.jwks_uri || configuration.keys, {});
+    return (keys.data && keys.data.keys) || keys.keys || [];
+  }
 
-      if (key) {
-        if (!jws.verify(this.id_token, alg, jwkToPem(key))) {
-          console.warn('Your id_token could not be validated.')
-          return null
-        }
-        return payload;
-      } else {
-        console.warn('Matching key could not be found.');
-        return null;
-      }
+  /**
+   * Loads OpenID Connect discovery document of the issuer, it is fetched once and stored in this.discovery
+   * @return {Promise<object>} discovery document
+   */
+  discover() {
+    if (!this._discovery_request) {
+      this._discovery_request = this.fetch_response(`${this._issuer}/.well-known/openid-configuration/`, {})
+        .then((configuration) => {
+          if (configuration.issuer && configuration.issuer.replace(/\/+$/, "") !== this._issuer) {
+            throw new Error(`Discovery document issuer "${configuration.issuer}" doesn't match`);
+          }
+          this.discovery = configuration;
+          return configuration;
+        })
+        .catch((err) => {
+          this._discovery_request = null;
+          throw err;
+        });
+    }
+    return this._discovery_request;
+  }
+
+  /**
+   * Loads the discovery document if openid scope is used, default endpoints are used if it is not available
+   */
+  async _load_discovery() {
+    if (this.discovery || !this.options.scope.includes("openid")) return;
+    try {
+      await this.discover();
     } catch (err) {
-      console.warn('Error decoding your ID token.');
-      return null;
+      this.logger.warn('OpenID configuration could not be loaded, default endpoints are used', err);
     }
   }
 
+  /**
+   * Returns endpoint advertised by the discovery document
+   * @param {string} name - e.g. "authorization_endpoint", "token_endpoint", "end_session_endpoint", "userinfo_endpoint"
+   * @param {string} fallback - URL used if the discovery document is not loaded or doesn't contain the endpoint
+   * @return {string} URL
+   */
+  _endpoint(name, fallback) {
+    return (this.discovery && this.discovery[name]) || fallback;
+  }
+
+  /**
+   * Gets claims about the signed in user from the OpenID Connect userinfo endpoint, they are stored in this.userinfo
+   * @return {Promise<object>} userinfo claims
+   */
+  async get_userinfo() {
+    if (!this.user) throw new Error('User is not signed in');
+    if (!this.options.scope.includes('openid')) throw new Error('userinfo requires the openid scope');
+    await this._load_discovery();
+    const context = this._request_context("get", "", null, true);
+    // the endpoint of the issuer, not an API uri, the request goes through the same pipeline as API calls
+    context.url = this._endpoint("userinfo_endpoint", `${this._issuer}/connect/userinfo`);
+    const userinfo = await this._request(context);
+    // userinfo of another user must not be mixed with the id_token claims
+    if (this.decoded_id_token && userinfo && userinfo.sub !== this.decoded_id_token.sub) {
+      throw new Error('userinfo "sub" doesn\'t match the id_token');
+    }
+    this.userinfo = userinfo;
+    return userinfo;
+  }
+
+  /**
+   * Profile of the signed in user: id_token claims, userinfo (call get_userinfo to load it) and access token details
+   * @return {object} profile or null if the user is not signed in
+   */
+  get profile() {
+    if (!this.user) return null;
+    const claims = {...(this.decoded_id_token || {})};
+    for (const key of ["iss", "aud", "azp", "exp", "iat", "nbf", "nonce", "at_hash", "c_hash", "auth_time", "sid"]) {
+      delete claims[key];
+    }
+    const details = this.user["access_token_details"] || {};
+    return {
+      ...claims,
+      ...(this.userinfo || {}),
+      account_id: this.user["id"],
+      accounts: this.accounts,
+      scope: details["scope"] || null,
+      expires_at: this.user["expiration"],
+      access_token_details: details,
+    };
+  }
+
   /**
    * Method for making custom API call
    * @param method
    * @param uri
    * @param body
    * @param is_uri_global
-   * @param options
+   * @param options - fetch options and request options ("retry", "signal", "timeout", "response_cache", "account_id", "priority", "offline")
    * @param token
-   * @return {Promise<*>}
+   * @return {Promise<*>} response, or {queued: true, mutation} if the mutation is queued by the offline mode
    */
   async call_api(method, uri, body = null, is_uri_global = false, options = {}, token = '') {
+    const context = this._request_context(method, uri, body, is_uri_global, options, token);
+    if (!this._queues_offline(context)) return await this._request(context);
+    if (!this.environment.is_online() || (await this.offline_queue.size())) {
+      return await this._queue_mutation(context, options);
+    }
+    context.offline_fallback = true;
     try {
-      const url = this._phoenix_url(uri, is_uri_global);
-      const headers = token.length ? this._phoenix_auth_headers(token) : this._phoenix_auth_headers();
-      const options_a = {
-        method: method.toUpperCase(),
-        headers,
-        ...options
-      };
-      if (body) {
-        options_a.body = JSON.stringify(body);
+      return await this._request(context);
+    } catch (err) {
+      if (!this._is_network_error(err)) throw err;
+      // the request failed with the network error if the mutation could not be queued
+      return await this._queue_mutation(context, options).catch(() => {
+        throw err;
+      });
+    }
+  }
+
+  /**
+   * @param {object} context - request context
+   * @return {boolean} true if the request is queued when the client is offline
+   */
+  _queues_offline(context) {
+    return !!this.offline_queue && context.offline && context.method !== "GET" && context.uses_session_token && !!this.user;
+  }
+
+  /**
+   * Stores the mutation in the offline queue, replays the queue if the client is online
+   * (mutations made while the queue is not empty are queued to keep the order)
+   * @param {object} context - request context
+   * @param {object} options - request options
+   * @return {Promise<object>} {queued: true, mutation}
+   */
+  async _queue_mutation(context, options) {
+    const { signal, timeout, account_id, offline, ...stored_options } = options || {};
+    const mutation = await this.offline_queue.add({
+      method: context.method,
+      uri: context.uri,
+      global: context.global,
+      body: context.body,
+      account_id: account_id || this.user["id"],
+      account_ids: this._account_ids(),
+      options: JSON.parse(JSON.stringify(stored_options)),
+    });
+    this._emit("mutation-queued", mutation);
+    if (this.environment.is_online()) this.replay_offline_queue().catch((err) => this._emit("error", err));
+    return {queued: true, mutation};
+  }
+
+  /**
+   * Sends queued mutations in order. Replay stops on network errors, 401, 429 and server errors, so it continues later;
+   * other errors remove the mutation from the queue and are reported to mutation-conflict or mutation-failed listeners.
+   * Mutations queued by another user (their account is not accessible with the current token) are dropped.
+   * @return {Promise<object>} numbers of replayed, conflicting, failed, dropped and remaining mutations
+   */
+  replay_offline_queue() {
+    if (!this.offline_queue) return Promise.resolve({replayed: 0, conflicts: 0, failed: 0, dropped: 0, remaining: 0});
+    if (this._replaying) return this._replaying;
+    this._replaying = this._replay_mutations().finally(() => {
+      this._replaying = null;
+    });
+    return this._replaying;
+  }
+
+  /**
+   * @return {Array<string>} ids of the accounts the signed in user has access to
+   */
+  _account_ids() {
+    if (!this.user) return [];
+    return [...new Set([String(this.user["id"]), ...this.accounts.map((x) => String(x.voip_id))])];
+  }
+
+  /**
+   * Mutations queued by another user are never sent with the token of the signed in user
+   * @param {object} mutation - queued mutation
+   * @return {boolean} true if the mutation was queued by the signed in user
+   */
+  _owns_mutation(mutation) {
+    const ids = this._account_ids();
+    return ids.includes(String(mutation.account_id))
+      && Array.isArray(mutation.account_ids)
+      && mutation.account_ids.some((x) => ids.includes(String(x)));
+  }
+
+  /**
+   * @return {Promise<object>} replay report
+   */
+  async _replay_mutations() {
+    const report = {replayed: 0, conflicts: 0, failed: 0, dropped: 0, remaining: 0};
+    while (this.user) {
+      const [mutation] = await this.offline_queue.list();
+      if (!mutation) break;
+      if (!this._owns_mutation(mutation)) {
+        this.logger.warn(`Queued ${mutation.method} ${mutation.uri} of another user is dropped`);
+        await this.offline_queue.remove(mutation.id);
+        report.dropped++;
+        continue;
+      }
+      const context = this._request_context(
+        mutation.method,
+        mutation.uri,
+        mutation.body,
+        mutation.global,
+        {...mutation.options, account_id: mutation.account_id, offline: false}
+      );
+      // the mutation stays in the queue after network errors
+      context.offline_fallback = true;
+      try {
+        const response = await this._request(context);
+        await this.offline_queue.remove(mutation.id);
+        report.replayed++;
+        this._emit("mutation-replayed", {mutation, response});
+      } catch (err) {
+        if (!err || !err.status || err.status === 401 || err.status === 429 || err.status >= 500) break;
+        await this.offline_queue.remove(mutation.id);
+        const retry = (body = mutation.body) => this.call_api(
+          mutation.method,
+          mutation.uri,
+          body,
+          mutation.global,
+          {...mutation.options, account_id: mutation.account_id}
+        );
+        if (this.offline_queue.is_conflict(err)) {
+          report.conflicts++;
+          this._emit("mutation-conflict", {mutation, error: err, retry});
+        } else {
+          report.failed++;
+          this._emit("mutation-failed", {mutation, error: err, retry});
+        }
       }
-      return await this.fetch_response(url, options_a)
+    }
+    report.remaining = await this.offline_queue.size();
+    return report;
+  }
+
+  /**
+   * Adds request middleware. Middleware is an object with optional methods:
+   * request(context) - can modify or return a new context before the request is sent,
+   * response(response, context) - can return transformed response,
+   * error(err, context) - can return a value to recover from the error (e.g. context.retry()), or throw a different error.
+   * @param {object} middleware
+   * @return {function} function removing the middleware
+   */
+  use(middleware) {
+    this.middlewares.push(middleware);
+    return () => {
+      this.middlewares = this.middlewares.filter((x) => x !== middleware);
+    };
+  }
+
+  /**
+   * Generates request context used by the request pipeline
+   * @param {string} method - HTTP method
+   * @param {string} uri - target resource uri
+   * @param {object} body - request body
+   * @param {boolean} is_uri_global - generates URL with "/v4/account/:account_id", true - generates url with uri only
+   * @param {object} options - fetch options, "retry" - retry policy overrides or false to disable retries,
+   * "signal" - AbortSignal cancelling the request, "timeout" - milliseconds after which the request is aborted,
+   * "response_cache" - false to bypass the response cache or object with "ttl" override ("cache" is passed to fetch if it is a string,
+   * otherwise it is used as "response_cache"), "account_id" - overrides the account of the user,
+   * "priority" - position in the rate limiter queue: "high", "normal" (default) or "low", "offline" - false to not queue the mutation in the offline mode
+   * @param {string} token - user token (required if user is not set)
+   * @return {object} request context
+   */
+  _request_context(method, uri, body = null, is_uri_global = false, options = {}, token = '') {
+    const headers = token.length ? this._phoenix_auth_headers(token) : this._phoenix_auth_headers();
+    const {
+      retry, signal, timeout, response_cache, account_id, priority, offline, responseType, ...request_options
+    } = options || {};
+    // fetch accepts only cache mode strings, booleans and objects are response cache settings
+    let response_cache_options = response_cache;
+    if (request_options.cache !== undefined && typeof request_options.cache !== "string") {
+      if (response_cache_options === undefined) response_cache_options = request_options.cache;
+      delete request_options.cache;
+    }
+    const uses_session_token = !token.length && !request_options.headers;
+    const fetch_options = {
+      method: method.toUpperCase(),
+      headers,
+      ...request_options
+    };
+    if (body) {
+      fetch_options.body = JSON.stringify(body);
+    }
+    return {
+      method: fetch_options.method,
+      uri,
+      global: is_uri_global,
+      body,
+      url: this._phoenix_url(uri, is_uri_global, account_id),
+      options: fetch_options,
+      attempt: 1,
+      retry_policy: retry,
+      signal,
+      timeout,
+      response_cache: response_cache_options,
+      response_type: responseType,
+      priority: priority || "normal",
+      offline: offline !== false,
+      offline_fallback: false,
+      uses_session_token,
+      passthrough_statuses: [],
+      request_id: this._generate_request_id(),
+      stats: {attempts: 0, status: null, bytes: null, cached: false, server_request_id: null},
+    };
+  }
+
+  /**
+   * Request pipeline every API call goes through: runs middlewares, sends the request and handles errors.
+   * Signal and timeout of the context apply to all attempts of the request.
+   * @param {object} context - request context
+   * @return {Promise<*>} response
+   */
+  async _request(context) {
+    const abort = this._abort_controller(context.signal, context.timeout);
+    const started = Date.now();
+    try {
+      const response = await this._send({...context, signal: abort.signal});
+      this._report_request(context, started);
+      return response;
     } catch (err) {
-      if (err.status === 401 && this._session_expired()) {
-        await this.handle_expired_session();
-        return {};
+      const error = abort.error(err);
+      if (error instanceof errors.PhoenixApiError && !error.request_id) error.request_id = context.request_id;
+      this._report_request(context, started, error);
+      throw error;
+    } finally {
+      abort.clear();
+    }
+  }
+
+  /**
+   * Generates id of the request, sent in the request_id_header (if set) and reported to telemetry listeners
+   * @return {string} request id
+   */
+  _generate_request_id() {
+    const crypto = this.environment && this.environment.crypto;
+    if (crypto && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  /**
+   * Logs the request and calls telemetry listeners
+   * @param {object} context - request context
+   * @param {number} started - timestamp of the first attempt
+   * @param {Error} error - error the request failed with
+   */
+  _report_request(context, started, error = null) {
+    const stats = context.stats || {};
+    const record = {
+      request_id: context.request_id,
+      method: context.method,
+      url: Logger.redact(context.url),
+      status: error ? (error.status || null) : stats.status,
+      ok: !error,
+      attempts: stats.attempts,
+      duration: Date.now() - started,
+      bytes: stats.bytes,
+      cached: !!stats.cached,
+      server_request_id: error ? (error.headers && typeof error.headers.get === "function" ? error.headers.get("X-Request-Id") || null : null) : stats.server_request_id,
+      error: error ? error.name : null,
+    };
+    if (error) {
+      this.logger.info(`${record.method} ${record.url} failed: ${record.error} ${record.status || ""} (${record.duration}ms)`, record);
+    } else {
+      this.logger.debug(`${record.method} ${record.url} ${record.status || ""} (${record.duration}ms)`, record);
+    }
+    this._emit("telemetry", record);
+  }
+
+  /**
+   * Sends a single attempt of the request through the middlewares
+   * @param {object} context - request context
+   * @return {Promise<*>} response
+   */
+  async _send(context) {
+    const retry = (overrides = {}) => this._send({...context, ...overrides, attempt: context.attempt + 1});
+    if (context.stats) context.stats.attempts = context.attempt;
+    if (context.uses_session_token && this._renewing) await this._wait_for(this._renewing, context.signal);
+    let ctx = {
+      ...context,
+      options: {...context.options, headers: {...context.options.headers}},
+      retry,
+    };
+    if (ctx.uses_session_token && this.user) ctx.options.headers["Authorization"] = this.user["token"];
+    if (this.options.request_id_header && ctx.request_id) ctx.options.headers[this.options.request_id_header] = ctx.request_id;
+    if (ctx.signal) ctx.options.signal = ctx.signal;
+    try {
+      for (const middleware of this.middlewares) {
+        if (middleware.request) ctx = (await middleware.request(ctx)) || ctx;
+      }
+      // listeners observe the request, Authorization and other credentials are redacted
+      this._emit("request", {...ctx, options: {...ctx.options, headers: Logger.redact(ctx.options.headers)}});
+      let response = await this._fetch_with_cache(ctx);
+      for (const middleware of this.middlewares) {
+        if (!middleware.response) continue;
+        const result = await middleware.response(response, ctx);
+        if (result !== undefined) response = result;
+      }
+      this._emit("response", {method: ctx.method, url: ctx.url, response});
+      return response;
+    } catch (err) {
+      let error = err;
+      for (const middleware of this.middlewares) {
+        if (!middleware.error) continue;
+        try {
+          const result = await middleware.error(error, ctx);
+          if (result !== undefined) return result;
+        } catch (middleware_err) {
+          error = middleware_err;
+        }
+      }
+      return await this._handle_request_error(error, ctx);
+    }
+  }
+
+  /**
+   * Sends the request, uses the response cache (if enabled) for GET requests and invalidates it after successful changes.
+   * Identical concurrent GET requests share the same response, expired responses with ETag are revalidated.
+   * @param {object} context - request context
+   * @return {Promise<*>} response
+   */
+  async _fetch_with_cache(context) {
+    const cache = this.response_cache;
+    if (!cache || context.response_cache === false) return await this._fetch_limited(context, context.options);
+    if (context.method !== "GET") {
+      const response = await this._fetch_limited(context, context.options);
+      cache.invalidate(context.url);
+      return response;
+    }
+    const ttl = context.response_cache && context.response_cache.ttl !== undefined ? context.response_cache.ttl : cache.options.ttl;
+    const key = `${context.options.headers["Authorization"] || ""} ${context.url}`;
+    const entry = cache.get(key);
+    if (entry && cache.is_fresh(entry)) {
+      if (context.stats) context.stats.cached = true;
+      return cache.read(entry);
+    }
+    const request = async (signal) => {
+      const generation = cache.generation;
+      const options = {...context.options, headers: {...context.options.headers}, signal};
+      if (entry && entry.etag) options.headers["If-None-Match"] = entry.etag;
+      const meta = {};
+      try {
+        const response = await this._fetch_limited(context, options, meta);
+        cache.set(key, context.url, response, meta.headers ? meta.headers.get("ETag") : null, ttl, generation);
+        return response;
+      } catch (err) {
+        if (err.status === 304 && entry) {
+          cache.touch(entry, ttl);
+          return cache.read(entry);
+        }
+        throw err;
       }
-      if (this.listeners["error"]) this.listeners["error"](err);
+    };
+    return await cache.deduplicate(key, request, context.signal);
+  }
+
+  /**
+   * Sends the request when the rate limiter (if enabled) allows it, updates the limiter by the response rate limit data
+   * @param {object} context - request context
+   * @param {object} options - fetch options
+   * @param {object} meta - filled with response status and headers
+   * @return {Promise<*>} response
+   */
+  async _fetch_limited(context, options, meta = {}) {
+    const limiter = this.rate_limiter;
+    const key = limiter ? limiter.key(context.url, context.method) : null;
+    if (limiter) await limiter.acquire(key, context.priority, options.signal);
+    try {
+      // the response type and the upload progress callback are not fetch options, middlewares don't see them
+      const response = await this.fetch_response(
+        context.url,
+        context.response_type || context.on_upload_progress
+          ? {...options, responseType: context.response_type, on_upload_progress: context.on_upload_progress}
+          : options,
+        meta
+      );
+      if (limiter) limiter.update(key, meta.headers);
+      return response;
+    } catch (err) {
+      if (limiter && err && err.status) limiter.update(key, err.headers, err, err.status === 429 ? this._retry_after(err) : null);
       throw err;
+    } finally {
+      this._update_request_stats(context, meta);
     }
   }
 
-  async fetch_response(url, options) {
+  /**
+   * Stores status, size and server request id of the response in the request stats
+   * @param {object} context - request context
+   * @param {object} meta - response meta filled by fetch_response
+   */
+  _update_request_stats(context, meta) {
+    if (!context.stats || meta.status === undefined) return;
+    const header = (name) => (meta.headers && typeof meta.headers.get === "function" ? meta.headers.get(name) : null);
+    const length = header("Content-Length");
+    context.stats.status = meta.status;
+    context.stats.bytes = meta.bytes !== undefined ? meta.bytes : (length ? Number(length) : null);
+    context.stats.server_request_id = header("X-Request-Id") || null;
+  }
+
+  /**
+   * Returns rate limiter queue statistics
+   * @return {object|null} queue depth, sent and delayed requests, wait times and buckets state, null if the rate_limit option is disabled
+   */
+  get_queue_stats() {
+    return this.rate_limiter ? this.rate_limiter.stats() : null;
+  }
+
+  /**
+   * Waits for the promise, rejects earlier if the signal is aborted
+   * @param {Promise} promise
+   * @param {AbortSignal} signal
+   * @return {Promise} promise result
+   */
+  _wait_for(promise, signal = null) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) return reject(signal.reason);
+      const on_abort = () => reject(signal.reason);
+      signal.addEventListener("abort", on_abort, {once: true});
+      promise.then((value) => {
+        signal.removeEventListener("abort", on_abort);
+        resolve(value);
+      }, (err) => {
+        signal.removeEventListener("abort", on_abort);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Retries the request if allowed by the retry policy, handles expired session, otherwise throws the error
+   * @param {object} err - error object
+   * @param {object} context - request context
+   * @return {Promise<*>} response of the retried request
+   */
+  async _handle_request_error(err, context) {
+    if (context.signal && context.signal.aborted) throw err;
+    const policy = this._retry_policy(context);
+    if (this._is_retryable(err, context, policy)) {
+      const delay = this._retry_delay(err, context, policy);
+      if (err.status === 429) return await this.handle_rate_limit(err, context.retry, delay, context.signal);
+      if (this._is_network_error(err)) return await this.handle_network_error(err, context.retry, delay, context.signal);
+      return await this.handle_internal_server_error(err, context.retry, delay, context.signal);
+    }
+    if (context.passthrough_statuses.includes(err.status)) throw err;
+    if (
+      err.status === 401 &&
+      this.options.silent_renew &&
+      context.uses_session_token &&
+      !context.renewed &&
+      this.user &&
+      (await this.renew_session())
+    ) {
+      return await context.retry({renewed: true});
+    }
+    if (err.status === 401 && this._session_expired()) {
+      await this.handle_expired_session();
+      return {};
+    }
+    // network errors of the mutations kept in the offline queue are not failures of the app
+    if (!(context.offline_fallback && this._is_network_error(err))) this._emit("error", err);
+    throw err;
+  }
+
+  /**
+   * Sends the request and parses the response
+   * @param {string} url
+   * @param {object} options - fetch options, "responseType" ("blob" or "response") and "on_upload_progress" callback
+   * @param {object} meta - if provided, response status and headers are assigned to it
+   * @return {Promise<*>} parsed response, rejects with PhoenixApiError subclass matching the status or NetworkError
+   */
+  async fetch_response(url, options, meta = null) {
     let api_response;
-    const response = await fetch(url, options);
-    if (options.responseType === 'blob') {
+    const { on_upload_progress, responseType, ...fetch_options } = options;
+    const method = fetch_options.method || "GET";
+    let response;
+    try {
+      response = on_upload_progress && typeof this.environment.fetch_with_progress === "function"
+        ? await this.environment.fetch_with_progress(url, fetch_options, on_upload_progress)
+        : await this.environment.fetch(url, fetch_options);
+    } catch (err) {
+      // rejections caused by the signal are handled by the caller, any other rejection means the request wasn't sent
+      if (!err || (fetch_options.signal && fetch_options.signal.aborted) || err instanceof errors.PhoenixApiError) throw err;
+      throw new errors.NetworkError(err.message || "Network request failed", {method, url, cause: err});
+    }
+    if (meta) {
+      meta.status = response.status;
+      meta.headers = response.headers;
+    }
+    if (response.ok && responseType === 'response') {
+      return response;
+    }
+    if (response.status === 304) {
+      api_response = {};
+    } else if (response.ok && responseType === 'blob') {
       api_response = await response.blob();
     } else {
-      api_response = await response.json();
+      api_response = await this._parse_body(response, meta);
     }
     if (response.ok) {
       return api_response;
     }
-    throw {
-      ...api_response,
+    throw errors.create_api_error({
       status: response.status,
-    };
+      headers: response.headers,
+      body: api_response,
+      method,
+      url,
+    });
   }
 
   /**
-   * Method for clearing all cache the package made
+   * Parses the response body, doesn't fail on empty (null is returned) and non-JSON bodies (text is returned)
+   * @param {Response} response
+   * @param {object} meta - if provided, size of the body in bytes is assigned to it
+   * @return {Promise<*>} parsed body
    */
-  reset_cache() {
-    let cache = this._getItem(this.cache_keys);
-    if (cache) {
-      cache = JSON.parse(cache);
-      for (const c of cache) {
-        this._removeItem(c);
-      }
+  async _parse_body(response, meta = null) {
+    if (typeof response.text !== "function") return await response.json();
+    const text = await response.text();
+    if (meta) meta.bytes = typeof TextEncoder === "function" ? new TextEncoder().encode(text).length : text.length;
+    if (!text.length) return null;
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text;
     }
-
-    return true;
   }
 
   /**
-   * Method for clearing all cache the package made
+   * Method for clearing all cache the package made.
+   * Clears the response cache, removes the keys tracked in this.cache_keys and the session keys,
+   * other keys of the storage adapter are not touched. Keys of the sign in in progress (state, nonce, PKCE) are kept.
    */
-  reset_cache() {
-    let cache = this._getItem(this.cache_keys);
-    if (cache) {
-      cache = JSON.parse(cache);
-      for (const c of cache) {
-        this._removeItem(c);
-      }
+  async reset_cache() {
+    if (this.response_cache) this.response_cache.clear();
+    let cache = await this._storage_operation((storage) => storage.get(this.cache_keys));
+    cache = cache ? JSON.parse(cache) : [];
+    const kept = this._preserved_storage_keys;
+    for (const c of new Set([...cache, ...this._session_storage_keys])) {
+      if (!kept.includes(c)) await this._removeItem(c);
     }
+    const remaining = cache.filter((x) => kept.includes(x));
+    await this._storage_operation((storage) => remaining.length
+      ? storage.set(this.cache_keys, JSON.stringify(remaining))
+      : storage.remove(this.cache_keys));
 
     return true;
   }
 
   /**
-   * Method for storing in session/local storage based on this.options.session_scope value
+   * Keys of the stored session: user, id_token, decoded id_token and userinfo
+   * @return {string[]} storage keys
+   */
+  get _session_storage_keys() {
+    return [
+      this.options.session_name,
+      this.id_token_cache_key,
+      this.decoded_id_token_cache_key,
+      this.userinfo_cache_key,
+    ];
+  }
+
+  /**
+   * Keys reset_cache doesn't remove, the offline queue is replayed after the next sign in
+   * @return {string[]} storage keys
+   */
+  get _preserved_storage_keys() {
+    const keys = [this._state_storage_key, this._nonce_storage_key, this._pkce_storage_key];
+    if (this.offline_queue) keys.push(this.offline_queue.key);
+    return keys;
+  }
+
+  /**
+   * Runs storage operations one after another, so sync and async adapters behave the same way
+   * @param {function} operation - callback receiving the storage adapter
+   * @return {Promise} operation result
+   */
+  _storage_operation(operation) {
+    const result = this._storage_queue.then(() => operation(this.storage));
+    this._storage_queue = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Method for storing with the storage adapter, keeps track of stored keys in this.cache_keys.
+   * The value is encrypted if the encryption option is enabled (the list of keys is not).
+   * If the encryption key is not available, the value is not stored (the previous one is removed).
    * @param {string} key
    * @param {string} value
-   * @return {boolean} true
+   * @return {Promise<boolean>} true if the value is stored
    */
   _setItem(key, value) {
-    let keys = this._getItem(this.cache_keys);
-    keys = keys ? JSON.parse(keys) : [];
-    keys.push(key);
-    keys = JSON.stringify([...new Set(keys)]);
-    if (this.options.session_scope === 'tab') {
-      sessionStorage.setItem(key, value);
-      sessionStorage.setItem(this.cache_keys, keys);
-    } else {
-      localStorage.setItem(key, value);
-      localStorage.setItem(this.cache_keys, keys);
-    }
+    return this._storage_operation(async (storage) => {
+      const stored = await this._encrypt(value, key);
+      if (stored === null) {
+        await storage.remove(key);
+        return false;
+      }
+      let keys = await storage.get(this.cache_keys);
+      keys = keys ? JSON.parse(keys) : [];
+      keys.push(key);
+      await storage.set(key, stored);
+      await storage.set(this.cache_keys, JSON.stringify([...new Set(keys)]));
 
-    return true;
+      return true;
+    });
   }
 
   /**
-   * Method for retrieving from session/local storage based on this.options.session_scope value
+   * Method for retrieving with the storage adapter, decrypts the value if the encryption option is enabled
    * @param {string} key
-   * @return {string} retrieved value
+   * @return {Promise<string>} retrieved value, null if the value could not be decrypted
    */
   _getItem(key) {
-    if (this.options.session_scope === 'tab') {
-      return sessionStorage.getItem(key);
+    return this._storage_operation(async (storage) => {
+      const value = await storage.get(key);
+      if (value === undefined || value === null) return null;
+      if (!this.encryption) return value;
+      try {
+        return await this.encryption.decrypt(value, key);
+      } catch (err) {
+        // the value is kept, it can be read once the key is available again
+        if (err instanceof StorageEncryption.KeyUnavailableError) return null;
+        await this._remove_undecryptable(storage, key, err);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Encrypts the value if the encryption option is enabled, plain text is never stored when it is
+   * @param {string} value
+   * @param {string} key - storage key of the value
+   * @return {Promise<string>} value to store, null if the encryption key is not available
+   */
+  async _encrypt(value, key) {
+    if (!this.encryption) return value;
+    try {
+      return await this.encryption.encrypt(value, key);
+    } catch (err) {
+      if (err instanceof StorageEncryption.KeyUnavailableError) return null;
+      throw err;
     }
-    return localStorage.getItem(key);
   }
 
   /**
-   * Method for removing from session/local storage based on this.options.session_scope value
+   * Removes the value which could not be decrypted (plain text stored before the encryption was enabled,
+   * other key or modified data), the whole session is removed if its user could not be decrypted,
+   * so the user signs in again
+   * @param {object} storage - storage adapter
    * @param {string} key
-   * @return {boolean} true
+   * @param {Error} err - decryption error
    */
-  _removeItem(key) {
-    if (this.options.session_scope === 'tab') {
-      sessionStorage.removeItem(key);
-    } else {
-      localStorage.removeItem(key);
+  async _remove_undecryptable(storage, key, err) {
+    this.logger.warn(`Stored "${key}" could not be decrypted, it is removed`, err);
+    for (const name of key === this.options.session_name ? this._session_storage_keys : [key]) {
+      await storage.remove(name);
     }
+  }
 
-    return true;
+  /**
+   * Method for removing with the storage adapter
+   * @param {string} key
+   * @return {Promise<boolean>} true
+   */
+  _removeItem(key) {
+    return this._storage_operation(async (storage) => {
+      await storage.remove(key);
+
+      return true;
+    });
   }
 
 }
 
+PhoenixApiClient.Query = Query;
+PhoenixApiClient.Resource = Resource;
+PhoenixApiClient.RateLimiter = RateLimiter;
+PhoenixApiClient.OfflineQueue = OfflineQueue;
+PhoenixApiClient.Logger = Logger;
+PhoenixApiClient.Watcher = Watcher;
+PhoenixApiClient.StorageEncryption = StorageEncryption;
+PhoenixApiClient.PhoenixApiError = errors.PhoenixApiError;
+PhoenixApiClient.AuthenticationError = errors.AuthenticationError;
+PhoenixApiClient.PermissionError = errors.PermissionError;
+PhoenixApiClient.NotFoundError = errors.NotFoundError;
+PhoenixApiClient.ValidationError = errors.ValidationError;
+PhoenixApiClient.RateLimitError = errors.RateLimitError;
+PhoenixApiClient.ServerError = errors.ServerError;
+PhoenixApiClient.NetworkError = errors.NetworkError;
+PhoenixApiClient.AbortError = errors.AbortError;
+PhoenixApiClient.TimeoutError = errors.TimeoutError;
+PhoenixApiClient.MemoryStorage = MemoryStorage;
+PhoenixApiClient.WebStorage = WebStorage;
+PhoenixApiClient.CookieStorage = CookieStorage;
+PhoenixApiClient.BrowserEnvironment = BrowserEnvironment;
+PhoenixApiClient.HeadlessEnvironment = HeadlessEnvironment;
+
 module.exports = PhoenixApiClient;
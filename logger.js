@@ -0,0 +1,136 @@
+/**
+ * Leveled logger used by PhoenixApiClient for diagnostics. Tokens, secrets and Authorization headers are redacted.
+ */
+
+const LEVELS = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4,
+};
+
+const SENSITIVE_KEYS = [
+  "authorization",
+  "token",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "client_secret",
+  "code_verifier",
+  "password",
+  "cookie",
+  "set-cookie",
+];
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Removes tokens from the string: Authorization header values and OAuth parameters of URLs
+ * @param {string} value
+ * @return {string}
+ */
+const redact_string = (value) => value
+  .replace(/\b(Bearer|Basic)\s+[^\s"',]+/gi, `$1 ${REDACTED}`)
+  .replace(/([?&#](?:access_token|refresh_token|id_token|token|code|client_secret|code_verifier)=)[^&#\s"']+/gi, `$1${REDACTED}`);
+
+/**
+ * Returns copy of the value with sensitive data redacted, the value is not modified.
+ * Errors and other class instances are copied with the same prototype if any of their own properties is redacted.
+ * @param {*} value
+ * @param {WeakSet} seen - objects already visited
+ * @return {*}
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === "string") return redact_string(value);
+  if (!value || typeof value !== "object") return value;
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((x) => redact(x, seen));
+  if (typeof value.forEach === "function" && typeof value.get === "function" && typeof value.has === "function") {
+    const headers = {};
+    value.forEach((header_value, name) => {
+      headers[name] = SENSITIVE_KEYS.includes(String(name).toLowerCase()) ? REDACTED : redact(header_value, seen);
+    });
+    return headers;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  const copy = Object.create(prototype);
+  let changed = false;
+  const keys = value instanceof Error ? ["message", "stack", ...Object.keys(value)] : Object.keys(value);
+  for (const key of keys) {
+    const redacted = SENSITIVE_KEYS.includes(key.toLowerCase()) && value[key] ? REDACTED : redact(value[key], seen);
+    changed = changed || redacted !== value[key];
+    Object.defineProperty(copy, key, {
+      value: redacted,
+      enumerable: Object.prototype.propertyIsEnumerable.call(value, key),
+      writable: true,
+      configurable: true,
+    });
+  }
+  if (prototype === Object.prototype || prototype === null || changed) return copy;
+  // nothing to redact, e.g. Date or Blob, the instance is kept usable
+  return value;
+};
+
+/** Class representing leveled logger. */
+class Logger {
+
+  /**
+   * Create a Logger.
+   * @param {object} options - level: "silent", "error", "warn" (default), "info" or "debug",
+   * sink: object with error, warn, info and debug methods (default: console), redact: redacts tokens (default: true)
+   */
+  constructor(options = {}) {
+    this.options = {
+      level: "warn",
+      sink: console,
+      redact: true,
+      ...options,
+    };
+    if (LEVELS[this.options.level] === undefined) {
+      throw new Error(`Invalid log level "${this.options.level}", allowed: ${Object.keys(LEVELS).join(", ")}`);
+    }
+  }
+
+  /**
+   * @param {string} level
+   * @return {boolean} true if messages of the level are logged
+   */
+  enabled(level) {
+    return LEVELS[level] <= LEVELS[this.options.level];
+  }
+
+  /**
+   * @param {string} level - "error", "warn", "info" or "debug"
+   * @param {...*} args - message and data
+   */
+  log(level, ...args) {
+    if (level === "silent" || !this.enabled(level)) return;
+    const sink = this.options.sink;
+    const method = typeof sink[level] === "function" ? sink[level] : sink.log;
+    if (typeof method !== "function") return;
+    method.apply(sink, this.options.redact ? args.map((x) => redact(x)) : args);
+  }
+
+  error(...args) {
+    this.log("error", ...args);
+  }
+
+  warn(...args) {
+    this.log("warn", ...args);
+  }
+
+  info(...args) {
+    this.log("info", ...args);
+  }
+
+  debug(...args) {
+    this.log("debug", ...args);
+  }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.redact = redact;
+
+module.exports = Logger;
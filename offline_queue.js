@@ -0,0 +1,104 @@
+/**
+ * Persistent queue of mutations (POST, PUT, PATCH, DELETE requests) made while offline,
+ * used by PhoenixApiClient when the "offline" option is enabled.
+ */
+
+/** Class representing offline mutation queue. */
+class OfflineQueue {
+
+  /**
+   * Create an OfflineQueue.
+   * @param {object} storage - object with async get(key) and set(key, value) methods, set resolves false if the value is not stored
+   * @param {string} key - storage key
+   * @param {object} options - conflict_statuses: statuses reported as conflicts when the mutation is replayed
+   */
+  constructor(storage, key, options = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.options = {
+      conflict_statuses: [404, 409, 422],
+      ...options,
+    };
+    this.sequence = 0;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Runs read-modify-write operations one after another
+   * @param {function} operation - async function
+   * @return {Promise} operation result
+   */
+  serialize(operation) {
+    const result = this.pending.then(operation);
+    this.pending = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * @return {Promise<Array<object>>} queued mutations, oldest first
+   */
+  async list() {
+    const value = await this.storage.get(this.key);
+    return value ? JSON.parse(value) : [];
+  }
+
+  /**
+   * @return {Promise<number>} number of queued mutations
+   */
+  async size() {
+    return (await this.list()).length;
+  }
+
+  /**
+   * Adds mutation to the end of the queue
+   * @param {object} mutation - method, uri, global, body, account_id and options of the request,
+   * account_ids of the user who made it
+   * @return {Promise<object>} queued mutation with id and queued_at
+   */
+  add(mutation) {
+    const queued = {
+      ...mutation,
+      id: `${Date.now().toString(36)}-${(this.sequence++).toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      queued_at: Date.now(),
+    };
+    return this.serialize(async () => {
+      const mutations = await this.list();
+      mutations.push(queued);
+      if ((await this.storage.set(this.key, JSON.stringify(mutations))) === false) {
+        throw new Error("Offline queue could not be stored");
+      }
+      return queued;
+    });
+  }
+
+  /**
+   * @param {string} id - mutation id
+   * @return {Promise<boolean>} true if the mutation was queued
+   */
+  remove(id) {
+    return this.serialize(async () => {
+      const mutations = await this.list();
+      const remaining = mutations.filter((x) => x.id !== id);
+      if (remaining.length === mutations.length) return false;
+      await this.storage.set(this.key, JSON.stringify(remaining));
+      return true;
+    });
+  }
+
+  /**
+   * Removes all queued mutations
+   */
+  clear() {
+    return this.serialize(() => this.storage.set(this.key, JSON.stringify([])));
+  }
+
+  /**
+   * @param {object} err - error of the replayed request
+   * @return {boolean} true if the error is a conflict the app has to resolve
+   */
+  is_conflict(err) {
+    return !!err && this.options.conflict_statuses.includes(err.status);
+  }
+}
+
+module.exports = OfflineQueue;
@@ -0,0 +1,126 @@
+/**
+ * OpenID Connect id_token validation for PhoenixApiClient: claims checks and JWKS cache with key rotation handling.
+ */
+
+const ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+/**
+ * Removes trailing slashes, so issuers configured with and without them match
+ * @param {string} value
+ * @return {string}
+ */
+const normalize_issuer = (value) => String(value || "").replace(/\/+$/, "");
+
+/**
+ * Validates claims of the id_token payload
+ * @param {object} payload - decoded id_token payload
+ * @param {object} expected - issuer, audience (client_id), nonce (undefined skips the check), clock_skew (milliseconds), now (milliseconds)
+ * @return {object} {valid: true} or {valid: false, reason, message}
+ */
+const validate_claims = (payload, expected = {}) => {
+  const invalid = (reason, message) => ({valid: false, reason, message});
+  if (!payload || typeof payload !== "object") return invalid("malformed", "id_token payload is not an object");
+  if (!expected.issuer || normalize_issuer(payload.iss) !== normalize_issuer(expected.issuer)) {
+    return invalid("invalid_issuer", `Unexpected issuer "${payload.iss}"`);
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!expected.audience || !audiences.map(String).includes(String(expected.audience))) {
+    return invalid("invalid_audience", `id_token is not issued for the client "${expected.audience}"`);
+  }
+  if ((audiences.length > 1 || payload.azp !== undefined) && String(payload.azp) !== String(expected.audience)) {
+    return invalid("invalid_authorized_party", `Unexpected authorized party "${payload.azp}"`);
+  }
+  const now = (expected.now === undefined ? Date.now() : expected.now) / 1000;
+  const skew = (expected.clock_skew || 0) / 1000;
+  if (typeof payload.exp !== "number") return invalid("missing_claim", 'id_token has no "exp" claim');
+  if (typeof payload.iat !== "number") return invalid("missing_claim", 'id_token has no "iat" claim');
+  if (payload.exp + skew <= now) return invalid("expired", "id_token is expired");
+  if (payload.iat - skew > now) return invalid("issued_in_future", "id_token is issued in the future");
+  if (typeof payload.nbf === "number" && payload.nbf - skew > now) return invalid("not_yet_valid", "id_token is not valid yet");
+  if (expected.nonce !== undefined && (!expected.nonce || payload.nonce !== expected.nonce)) {
+    return invalid("invalid_nonce", '"nonce" claim doesn\'t match');
+  }
+  return {valid: true};
+};
+
+/** Class representing cache of the JSON Web Key Set, refetched when it expires or a token is signed by an unknown key. */
+class JwksCache {
+
+  /**
+   * Create a JwksCache.
+   * @param {function} load - async function returning array of JWKs
+   * @param {object} options - ttl: milliseconds the keys are cached (default 3600000),
+   * cooldown: minimum milliseconds between refetches caused by unknown "kid" (default 30000)
+   */
+  constructor(load, options = {}) {
+    this.load = load;
+    this.options = {
+      ttl: 3600000,
+      cooldown: 30000,
+      ...options,
+    };
+    this.keys = null;
+    this.fetched_at = 0;
+    this.refetched_at = 0;
+    this._loading = null;
+  }
+
+  /**
+   * Fetches the keys, concurrent calls share the request
+   * @return {Promise<Array>} keys
+   */
+  refresh() {
+    if (!this._loading) {
+      this._loading = Promise.resolve()
+        .then(() => this.load())
+        .then((keys) => {
+          this.keys = Array.isArray(keys) ? keys : [];
+          this.fetched_at = Date.now();
+          return this.keys;
+        })
+        .finally(() => {
+          this._loading = null;
+        });
+    }
+    return this._loading;
+  }
+
+  /**
+   * Finds signing key by "kid" of the token header. Without "kid" the only key matching the algorithm is used.
+   * @param {object} header - decoded id_token header
+   * @return {Promise<object>} JWK or null if not found
+   */
+  async get_key(header) {
+    if (!this.keys || Date.now() - this.fetched_at >= this.options.ttl) await this.refresh();
+    let key = this._find(header);
+    // keys were rotated since they were cached
+    if (!key && Date.now() - this.refetched_at >= this.options.cooldown) {
+      this.refetched_at = Date.now();
+      await this.refresh();
+      key = this._find(header);
+    }
+    return key;
+  }
+
+  /**
+   * @param {object} header - decoded id_token header
+   * @return {object} JWK or null
+   */
+  _find(header) {
+    const keys = (this.keys || []).filter((x) => x.use !== "enc" && (!x.alg || x.alg === header.alg));
+    if (header.kid) return keys.find((x) => x.kid === header.kid) || null;
+    return keys.length === 1 ? keys[0] : null;
+  }
+
+  clear() {
+    this.keys = null;
+    this.fetched_at = 0;
+    this.refetched_at = 0;
+  }
+}
+
+module.exports = {
+  ALGORITHMS,
+  JwksCache,
+  validate_claims,
+};
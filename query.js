@@ -0,0 +1,180 @@
+/**
+ * Query builder serializing filters, sorting, field selection and paging to the Phone.com API conventions:
+ * filters[field]=operator:value, sort[field]=asc|desc, fields=brief, limit=100, offset=0
+ */
+
+const FILTER_OPERATORS = [
+  "eq",
+  "ne",
+  "lt",
+  "gt",
+  "lte",
+  "gte",
+  "starts-with",
+  "ends-with",
+  "contains",
+  "not-starts-with",
+  "not-ends-with",
+  "not-contains",
+  "between",
+  "not-between",
+  "empty",
+  "not-empty",
+];
+
+const VALUELESS_OPERATORS = ["empty", "not-empty"];
+
+const RANGE_OPERATORS = ["between", "not-between"];
+
+const SORT_DIRECTIONS = ["asc", "desc"];
+
+const MAX_LIMIT = 500;
+
+/**
+ * Converts filter value to the string used by the API, dates are sent as unix timestamps
+ * @param {*} value
+ * @return {string}
+ */
+const serialize_value = (value) => {
+  if (value instanceof Date) return Math.floor(value.getTime() / 1000).toString();
+  return String(value);
+};
+
+/** Class representing a list query. */
+class Query {
+
+  /**
+   * Create a Query.
+   * @param {string} uri - target resource uri, can contain query string
+   */
+  constructor(uri) {
+    if (typeof uri !== "string" || !uri.length) throw new Error("Query uri must be a non-empty string");
+    this.uri = uri;
+    this.filters = [];
+    this.sorting = [];
+    this.fields_value = null;
+    this.limit_value = null;
+    this.offset_value = null;
+    this.params = {};
+  }
+
+  /**
+   * Adds filter, multiple filters can be added to the same field
+   * @param {string} field - field name
+   * @param {string} operator - one of FILTER_OPERATORS
+   * @param {*} value - filter value, array of two values for "between" and "not-between", omitted for "empty" and "not-empty"
+   * @return {Query}
+   */
+  filter(field, operator, value = null) {
+    if (typeof field !== "string" || !field.length) throw new Error("Filter field must be a non-empty string");
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw new Error(`Invalid filter operator "${operator}", allowed: ${FILTER_OPERATORS.join(", ")}`);
+    }
+    let serialized = operator;
+    if (RANGE_OPERATORS.includes(operator)) {
+      if (!Array.isArray(value) || value.length !== 2) throw new Error(`"${operator}" filter requires an array of two values`);
+      serialized += `:${value.map(serialize_value).join(",")}`;
+    } else if (!VALUELESS_OPERATORS.includes(operator)) {
+      if (value === null || value === undefined) throw new Error(`"${operator}" filter requires a value`);
+      serialized += `:${serialize_value(value)}`;
+    }
+    this.filters.push({field, value: serialized});
+    return this;
+  }
+
+  /**
+   * Adds sorting, sort order follows the order of calls
+   * @param {string} field - field name
+   * @param {string} direction - "asc" or "desc"
+   * @return {Query}
+   */
+  sort(field, direction = "asc") {
+    if (typeof field !== "string" || !field.length) throw new Error("Sort field must be a non-empty string");
+    if (!SORT_DIRECTIONS.includes(direction)) throw new Error(`Invalid sort direction "${direction}", allowed: asc, desc`);
+    this.sorting = this.sorting.filter((x) => x.field !== field);
+    this.sorting.push({field, direction});
+    return this;
+  }
+
+  /**
+   * Sets fields selection
+   * @param {string} value - e.g. "brief"
+   * @return {Query}
+   */
+  fields(value) {
+    this.fields_value = value;
+    return this;
+  }
+
+  /**
+   * @param {number} value - page size, 1 - 500
+   * @return {Query}
+   */
+  limit(value) {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) throw new Error(`Limit must be an integer between 1 and ${MAX_LIMIT}`);
+    this.limit_value = value;
+    return this;
+  }
+
+  /**
+   * @param {number} value - offset of the first item
+   * @return {Query}
+   */
+  offset(value) {
+    if (!Number.isInteger(value) || value < 0) throw new Error("Offset must be a non-negative integer");
+    this.offset_value = value;
+    return this;
+  }
+
+  /**
+   * Adds custom query parameter
+   * @param {string} name
+   * @param {*} value
+   * @return {Query}
+   */
+  param(name, value) {
+    this.params[name] = value;
+    return this;
+  }
+
+  /**
+   * Generates uri with filters, sorting, fields and custom parameters (limit and offset are not included)
+   * @return {string} uri
+   */
+  to_uri() {
+    const counts = {};
+    for (const filter of this.filters) counts[filter.field] = (counts[filter.field] || 0) + 1;
+    const parts = [];
+    for (const filter of this.filters) {
+      const key = `filters[${encodeURIComponent(filter.field)}]${counts[filter.field] > 1 ? "[]" : ""}`;
+      parts.push(`${key}=${encodeURIComponent(filter.value)}`);
+    }
+    for (const sort of this.sorting) {
+      parts.push(`sort[${encodeURIComponent(sort.field)}]=${sort.direction}`);
+    }
+    if (this.fields_value) parts.push(`fields=${encodeURIComponent(this.fields_value)}`);
+    for (const name of Object.keys(this.params)) {
+      parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(serialize_value(this.params[name]))}`);
+    }
+    if (!parts.length) return this.uri;
+
+    return `${this.uri}${this.uri.includes("?") ? "&" : "?"}${parts.join("&")}`;
+  }
+
+  /**
+   * @return {string} uri including limit and offset
+   */
+  toString() {
+    let uri = this.to_uri();
+    const paging = [];
+    if (this.limit_value !== null) paging.push(`limit=${this.limit_value}`);
+    if (this.offset_value !== null) paging.push(`offset=${this.offset_value}`);
+    if (paging.length) uri += `${uri.includes("?") ? "&" : "?"}${paging.join("&")}`;
+
+    return uri;
+  }
+}
+
+Query.FILTER_OPERATORS = FILTER_OPERATORS;
+
+module.exports = Query;
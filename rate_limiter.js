@@ -0,0 +1,301 @@
+/**
+ * Client-side rate limiter used by PhoenixApiClient when the "rate_limit" option is enabled.
+ * Requests wait in a prioritized queue for a token of their bucket (per account and method class),
+ * buckets learn from the rate limit data of the API responses.
+ */
+
+const PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2,
+};
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Converts priority name or number to number, lower numbers are sent first
+ * @param {string|number} priority - "high", "normal", "low" or number
+ * @return {number}
+ */
+const priority_value = (priority) => {
+  if (typeof priority === "number" && !isNaN(priority)) return priority;
+  if (PRIORITIES[priority] !== undefined) return PRIORITIES[priority];
+  return PRIORITIES.normal;
+};
+
+/**
+ * Reads numeric value from Headers object
+ * @param {Headers} headers
+ * @param {string} name
+ * @return {number|null}
+ */
+const header_number = (headers, name) => {
+  if (!headers || typeof headers.get !== "function") return null;
+  const value = headers.get(name);
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Reads numeric value from the "@rateLimit" data of the error body
+ * @param {object} err - error thrown by fetch_response
+ * @param {string} name
+ * @return {number|null}
+ */
+const body_number = (err, name) => {
+  const data = err && err["@error"] && err["@error"]["@rateLimit"];
+  if (!data || data[name] === undefined || data[name] === null || data[name] === "") return null;
+  const number = Number(data[name]);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Reads rate limit value from the headers, falls back to the error body
+ * @param {Headers} headers
+ * @param {object} err
+ * @param {string} name - value name without "X-RateLimit-" prefix
+ * @return {number|null}
+ */
+const rate_limit_value = (headers, err, name) => {
+  const value = header_number(headers, `X-RateLimit-${name}`);
+  return value === null ? body_number(err, name) : value;
+};
+
+/** Class representing token bucket rate limiter with prioritized queue. */
+class RateLimiter {
+
+  /**
+   * Create a RateLimiter.
+   * @param {object} options - capacity: maximum burst, refill_rate: tokens per second,
+   * methods: overrides for "read" (GET, HEAD, OPTIONS) and "write" requests,
+   * accounts: overrides per account id (can contain methods), learn: adjusts buckets by the API rate limit data,
+   * set_timeout: function scheduling the queue checks (default setTimeout)
+   */
+  constructor(options = {}) {
+    this.options = {
+      capacity: 10,
+      refill_rate: 5,
+      methods: {},
+      accounts: {},
+      learn: true,
+      set_timeout: null,
+      ...options,
+    };
+    this.buckets = new Map();
+    this.queue = [];
+    this.sequence = 0;
+    this.timer = null;
+    this.counters = {sent: 0, delayed: 0, total_wait: 0, max_wait: 0};
+  }
+
+  /**
+   * Generates bucket key for the request
+   * @param {string} url - request url
+   * @param {string} method - HTTP method
+   * @return {string} key in format "account:method_class"
+   */
+  key(url, method = "GET") {
+    const match = url.match(/\/v4\/accounts\/([^/?#]+)/);
+    const method_class = READ_METHODS.includes(method.toUpperCase()) ? "read" : "write";
+    return `${match ? decodeURIComponent(match[1]) : "global"}:${method_class}`;
+  }
+
+  /**
+   * @param {string} key - bucket key
+   * @return {object} bucket with capacity, refill_rate, tokens, updated, blocked_until,
+   * configured capacity and refill_rate and learned_until (the learned values are used until then)
+   */
+  bucket(key) {
+    let bucket = this.buckets.get(key);
+    if (bucket) return bucket;
+    const [account, method_class] = key.split(":");
+    const account_options = this.options.accounts[account] || {};
+    const config = {
+      capacity: this.options.capacity,
+      refill_rate: this.options.refill_rate,
+      ...this.options.methods[method_class],
+      ...account_options,
+      ...(account_options.methods ? account_options.methods[method_class] : {}),
+    };
+    bucket = {
+      capacity: config.capacity,
+      refill_rate: config.refill_rate,
+      tokens: config.capacity,
+      updated: Date.now(),
+      blocked_until: 0,
+      configured: {capacity: config.capacity, refill_rate: config.refill_rate},
+      learned_until: 0,
+    };
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Adds tokens for the time passed since the last refill, restores the configured limits when the learned window is over
+   * @param {object} bucket
+   * @param {number} now - timestamp
+   */
+  refill(bucket, now = Date.now()) {
+    if (bucket.learned_until && bucket.learned_until <= now) {
+      bucket.capacity = bucket.configured.capacity;
+      bucket.refill_rate = bucket.configured.refill_rate;
+      bucket.learned_until = 0;
+    }
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.updated) / 1000) * bucket.refill_rate);
+    bucket.updated = now;
+  }
+
+  /**
+   * Waits for a token of the bucket, requests with higher priority get tokens first
+   * @param {string} key - bucket key
+   * @param {string|number} priority - "high", "normal", "low" or number
+   * @param {AbortSignal} signal - removes the request from the queue when aborted
+   * @return {Promise} resolved when the request can be sent
+   */
+  acquire(key, priority = "normal", signal = null) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        key,
+        priority: priority_value(priority),
+        sequence: this.sequence++,
+        enqueued: Date.now(),
+        resolve,
+        reject,
+        signal,
+        on_abort: null,
+      };
+      if (signal) {
+        waiter.on_abort = () => {
+          this.queue = this.queue.filter((x) => x !== waiter);
+          reject(signal.reason);
+          this.process();
+        };
+        signal.addEventListener("abort", waiter.on_abort, {once: true});
+      }
+      this.queue.push(waiter);
+      this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      this.process();
+    });
+  }
+
+  /**
+   * Releases queued requests which buckets have tokens, schedules the next check
+   */
+  process() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const now = Date.now();
+    let next_check = Infinity;
+    for (const waiter of [...this.queue]) {
+      const bucket = this.bucket(waiter.key);
+      this.refill(bucket, now);
+      if (bucket.blocked_until > now) {
+        next_check = Math.min(next_check, bucket.blocked_until - now);
+        continue;
+      }
+      if (bucket.tokens < 1) {
+        next_check = Math.min(next_check, Math.ceil(((1 - bucket.tokens) / bucket.refill_rate) * 1000));
+        continue;
+      }
+      bucket.tokens -= 1;
+      this.queue = this.queue.filter((x) => x !== waiter);
+      if (waiter.signal) waiter.signal.removeEventListener("abort", waiter.on_abort);
+      const wait = now - waiter.enqueued;
+      this.counters.sent++;
+      if (wait > 0) this.counters.delayed++;
+      this.counters.total_wait += wait;
+      this.counters.max_wait = Math.max(this.counters.max_wait, wait);
+      waiter.resolve();
+    }
+    if (this.queue.length && next_check !== Infinity) {
+      const set_timeout = this.options.set_timeout || setTimeout;
+      this.timer = set_timeout(() => this.process(), Math.max(next_check, 1));
+    }
+  }
+
+  /**
+   * Adjusts the bucket by the rate limit data of the response or error:
+   * X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset headers (or "@rateLimit" data of the error body),
+   * Retry-After pauses the bucket
+   * @param {string} key - bucket key
+   * @param {Headers} headers - response headers
+   * @param {object} err - error thrown by fetch_response
+   * @param {number} retry_after - milliseconds to wait before the next request
+   */
+  update(key, headers = null, err = null, retry_after = null) {
+    if (!this.options.learn) return;
+    const bucket = this.bucket(key);
+    const now = Date.now();
+    this.refill(bucket, now);
+    const limit = rate_limit_value(headers, err, "Limit");
+    const remaining = rate_limit_value(headers, err, "Remaining");
+    const reset = rate_limit_value(headers, err, "Reset");
+    // reset can be number of seconds or unix timestamp
+    const reset_in = reset === null ? null : (reset > 1000000000 ? reset * 1000 - now : reset * 1000);
+    // the limits are derived from the configured ones, so they recover when the server allows more again
+    if (limit !== null && limit > 0 && reset_in !== null && reset_in > 0) {
+      bucket.capacity = Math.min(bucket.configured.capacity, limit);
+      bucket.refill_rate = Math.min(bucket.configured.refill_rate, limit / Math.max(reset_in / 1000, 1));
+      bucket.learned_until = now + reset_in;
+    }
+    if (remaining !== null) {
+      bucket.tokens = Math.min(bucket.tokens, remaining);
+      if (remaining <= 0 && reset_in !== null && reset_in > 0) {
+        bucket.blocked_until = Math.max(bucket.blocked_until, now + reset_in);
+      }
+    }
+    if (retry_after !== null) bucket.blocked_until = Math.max(bucket.blocked_until, now + retry_after);
+    this.process();
+  }
+
+  /**
+   * @return {object} queue depth (total and per priority), counters of sent and delayed requests,
+   * total and maximum wait in milliseconds, state of the buckets
+   */
+  stats() {
+    const now = Date.now();
+    const by_priority = {};
+    for (const waiter of this.queue) {
+      const name = Object.keys(PRIORITIES).find((x) => PRIORITIES[x] === waiter.priority) || String(waiter.priority);
+      by_priority[name] = (by_priority[name] || 0) + 1;
+    }
+    const buckets = {};
+    for (const [key, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      buckets[key] = {
+        tokens: Math.floor(bucket.tokens),
+        capacity: bucket.capacity,
+        refill_rate: bucket.refill_rate,
+        blocked_for: Math.max(0, bucket.blocked_until - now),
+      };
+    }
+    return {
+      queued: this.queue.length,
+      queued_by_priority: by_priority,
+      ...this.counters,
+      buckets,
+    };
+  }
+
+  /**
+   * Rejects queued requests and removes the learned state
+   * @param {*} reason - rejection reason
+   */
+  clear(reason = new Error("Rate limiter cleared")) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const queue = this.queue;
+    this.queue = [];
+    for (const waiter of queue) {
+      if (waiter.signal) waiter.signal.removeEventListener("abort", waiter.on_abort);
+      waiter.reject(reason);
+    }
+    this.buckets.clear();
+  }
+}
+
+RateLimiter.PRIORITIES = PRIORITIES;
+
+module.exports = RateLimiter;
@@ -0,0 +1,231 @@
+/**
+ * Resource objects for the core Phone.com v4 account resources, built on top of PhoenixApiClient CRUD methods.
+ * Paths are relative to /v4/accounts/:account_id, ":name" segments are filled with bind().
+ */
+
+const RESOURCES = {
+  extensions: {
+    path: "/extensions",
+    sub_resources: {
+      contacts: "/contacts",
+      contact_groups: "/contact-groups",
+      voicemail: "/voicemail",
+    },
+  },
+  phone_numbers: {path: "/phone-numbers"},
+  messages: {path: "/messages"},
+  calls: {path: "/calls"},
+  call_logs: {path: "/call-logs"},
+  contacts: {path: "/extensions/:extension_id/contacts"},
+  voicemail: {path: "/extensions/:extension_id/voicemail"},
+  media: {path: "/media"},
+};
+
+/** Class representing an API resource. */
+class Resource {
+
+  /**
+   * Create a Resource.
+   * @param {PhoenixApiClient} client
+   * @param {string} path - resource path, can contain ":name" segments
+   * @param {object} sub_resources - sub resource names mapped to paths relative to the item path
+   */
+  constructor(client, path, sub_resources = {}) {
+    this.client = client;
+    this.path = path;
+    this.sub_resources = sub_resources;
+    for (const name of Object.keys(sub_resources)) {
+      this[name] = (id) => new Resource(client, `${this._item_path(id)}${sub_resources[name]}`);
+    }
+  }
+
+  /**
+   * Returns resource with ":name" path segments replaced by the params
+   * @param {object} params - e.g. {extension_id: 12}
+   * @return {Resource}
+   */
+  bind(params) {
+    const path = this.path.replace(/:([a-z_]+)/g, (segment, name) => (
+      params[name] === undefined ? segment : encodeURIComponent(params[name])
+    ));
+    return new Resource(this.client, path, this.sub_resources);
+  }
+
+  /**
+   * @return {string} resource path
+   */
+  get uri() {
+    const missing = this.path.match(/:[a-z_]+/);
+    if (missing) throw new Error(`Resource path "${this.path}" requires ${missing[0].slice(1)}, use bind()`);
+    return this.path;
+  }
+
+  /**
+   * @param {string|number} id - item id
+   * @return {string} item path
+   */
+  _item_path(id) {
+    if (id === undefined || id === null || id === "") throw new Error("Resource item id is required");
+    return `${this.uri}/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * @return {Query} query for the resource
+   */
+  query() {
+    return this.client.query(this.uri);
+  }
+
+  /**
+   * Gets a page of items
+   * @param {Query} query - query created by query(), defaults to the first page of 25 items
+   * @param {object} options - request options
+   * @return {Promise<object>} object containing requested items
+   */
+  list(query = null, options = {}) {
+    return this.client.get_list(query || this.uri, 25, 0, false, options);
+  }
+
+  /**
+   * Gets all items
+   * @param {Query} query - query created by query()
+   * @param {object} options - request options, see get_list_all
+   * @return {Promise<object>} object containing all items
+   */
+  list_all(query = null, options = {}) {
+    return this.client.get_list_all(query || this.uri, false, options);
+  }
+
+  /**
+   * Iterates over items, pages are requested on demand
+   * @param {Query} query - query created by query()
+   * @param {object} options - see iterate_list
+   * @return {AsyncGenerator<object>} items
+   */
+  iterate(query = null, options = {}) {
+    return this.client.iterate_list(query || this.uri, options);
+  }
+
+  /**
+   * Watches the items for changes, see PhoenixApiClient.watch
+   * @param {Query} query - query created by query()
+   * @param {object} options - see watch
+   * @return {WatchSubscription} subscription
+   */
+  watch(query = null, options = {}) {
+    return this.client.watch(query || this.uri, options);
+  }
+
+  /**
+   * Gets the item, sends GET request
+   * @param {string|number} id - item id
+   * @param {object} options - request options
+   * @return {Promise<object>} item
+   */
+  get(id, options = {}) {
+    return this.client.get_item(this._item_path(id), options);
+  }
+
+  /**
+   * Creates the item, sends POST request
+   * @param {object} data - item data
+   * @param {object} options - request options
+   * @return {Promise<object>} created item
+   */
+  create(data, options = {}) {
+    return this.client.create_item(this.uri, data, options);
+  }
+
+  /**
+   * Updates the item, sends PATCH request
+   * @param {string|number} id - item id
+   * @param {object} data - changed fields
+   * @param {object} options - request options
+   * @return {Promise<object>} updated item
+   */
+  update(id, data, options = {}) {
+    return this.client.patch_item(this._item_path(id), data, options);
+  }
+
+  /**
+   * Replaces the item, sends PUT request
+   * @param {string|number} id - item id
+   * @param {object} data - item data
+   * @param {object} options - request options
+   * @return {Promise<object>} replaced item
+   */
+  replace(id, data, options = {}) {
+    return this.client.replace_item(this._item_path(id), data, options);
+  }
+
+  /**
+   * Deletes the item, sends DELETE request
+   * @param {string|number} id - item id
+   * @param {object} options - request options
+   * @return {Promise<object>} response
+   */
+  delete(id, options = {}) {
+    return this.client.delete_item(this._item_path(id), options);
+  }
+
+  /**
+   * Downloads the item file, see PhoenixApiClient.download_item
+   */
+  download(id, options = {}) {
+    return this.client.download_item(this._item_path(id), options);
+  }
+
+  /**
+   * Uploads the file ({file, fields, ...}), see PhoenixApiClient.upload_item
+   */
+  upload(data, options = {}) {
+    return this.client.upload_item(this.uri, data, options);
+  }
+
+  /**
+   * Creates the items, see PhoenixApiClient.bulk_create
+   */
+  bulk_create(items, options = {}) {
+    return this.client.bulk_create(this.uri, items, options);
+  }
+
+  /**
+   * Updates the items ({id, data} objects), see PhoenixApiClient.bulk_patch
+   */
+  bulk_update(items, options = {}) {
+    return this.client.bulk_patch(this.uri, items, options);
+  }
+
+  /**
+   * Replaces the items ({id, data} objects), see PhoenixApiClient.bulk_replace
+   */
+  bulk_replace(items, options = {}) {
+    return this.client.bulk_replace(this.uri, items, options);
+  }
+
+  /**
+   * Deletes the items, see PhoenixApiClient.bulk_delete
+   */
+  bulk_delete(ids, options = {}) {
+    return this.client.bulk_delete(this.uri, ids, options);
+  }
+}
+
+/**
+ * Creates resource objects for the client
+ * @param {PhoenixApiClient} client
+ * @return {object} resource names mapped to Resource objects
+ */
+const create_resources = (client) => {
+  const resources = {};
+  for (const name of Object.keys(RESOURCES)) {
+    resources[name] = new Resource(client, RESOURCES[name].path, RESOURCES[name].sub_resources);
+  }
+  return resources;
+};
+
+module.exports = {
+  Resource,
+  RESOURCES,
+  create_resources,
+};
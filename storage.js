@@ -0,0 +1,149 @@
+/**
+ * Storage adapters used by PhoenixApiClient for persisting session data.
+ * Any object implementing get(key), set(key, value), remove(key) and keys() can be used as adapter,
+ * methods can return values directly or promises.
+ */
+
+/** Class representing in-memory storage adapter. Data is lost when the process or page is closed. */
+class MemoryStorage {
+
+  constructor() {
+    this.items = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @return {string|null} stored value
+   */
+  get(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  set(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  /**
+   * @param {string} key
+   */
+  remove(key) {
+    this.items.delete(key);
+  }
+
+  /**
+   * @return {string[]} stored keys
+   */
+  keys() {
+    return [...this.items.keys()];
+  }
+}
+
+/** Class representing Web Storage (sessionStorage/localStorage) adapter. */
+class WebStorage {
+
+  /**
+   * Create a WebStorage adapter.
+   * @param {Storage} storage - sessionStorage, localStorage or any object implementing Web Storage API
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get(key) {
+    return this.storage.getItem(key);
+  }
+
+  set(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      keys.push(this.storage.key(i));
+    }
+    return keys;
+  }
+}
+
+/** Class representing document.cookie adapter. Browsers limit cookie size to ~4KB per key. */
+class CookieStorage {
+
+  /**
+   * Create a CookieStorage adapter.
+   * @param {object} options - cookie attributes: path, domain, max_age (seconds), secure, same_site
+   */
+  constructor(options = {}) {
+    this.options = {
+      path: "/",
+      domain: null,
+      max_age: null,
+      secure: true,
+      same_site: "Strict",
+      ...options,
+    };
+  }
+
+  /**
+   * Parses document.cookie, cookies that can't be decoded (written by other apps of the domain) are skipped
+   * @return {object} cookie names mapped to values
+   */
+  _cookies() {
+    const cookies = {};
+    for (const cookie of document.cookie.split(";")) {
+      const index = cookie.indexOf("=");
+      if (index === -1) continue;
+      try {
+        cookies[decodeURIComponent(cookie.slice(0, index).trim())] = decodeURIComponent(cookie.slice(index + 1).trim());
+      } catch (err) {
+        continue;
+      }
+    }
+    return cookies;
+  }
+
+  /**
+   * Generates cookie attributes string
+   * @param {number} max_age - overrides max_age option
+   * @return {string} cookie attributes
+   */
+  _attributes(max_age = this.options.max_age) {
+    let attributes = `; path=${this.options.path}`;
+    if (this.options.domain) attributes += `; domain=${this.options.domain}`;
+    if (max_age !== null) attributes += `; max-age=${max_age}`;
+    if (this.options.secure) attributes += "; secure";
+    if (this.options.same_site) attributes += `; samesite=${this.options.same_site}`;
+    return attributes;
+  }
+
+  get(key) {
+    const cookies = this._cookies();
+    return Object.prototype.hasOwnProperty.call(cookies, key) ? cookies[key] : null;
+  }
+
+  set(key, value) {
+    document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}${this._attributes()}`;
+  }
+
+  remove(key) {
+    document.cookie = `${encodeURIComponent(key)}=${this._attributes(0)}`;
+  }
+
+  keys() {
+    return Object.keys(this._cookies());
+  }
+}
+
+module.exports = {
+  MemoryStorage,
+  WebStorage,
+  CookieStorage,
+};
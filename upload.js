@@ -0,0 +1,73 @@
+/**
+ * Conversions of files passed to PhoenixApiClient.upload_item: File, Blob, ArrayBuffer, typed arrays (including Node.js Buffer)
+ * and strings (base64 or data URL).
+ */
+
+/**
+ * @param {*} file
+ * @return {boolean} true if the file is Blob (or File)
+ */
+const is_blob = (file) => typeof Blob !== "undefined" && file instanceof Blob;
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} file
+ * @return {Uint8Array} bytes of the file
+ */
+const to_bytes = (file) => {
+  if (ArrayBuffer.isView(file)) return new Uint8Array(file.buffer, file.byteOffset, file.byteLength);
+  return new Uint8Array(file);
+};
+
+/**
+ * @param {*} file
+ * @return {boolean} true if the file can be uploaded
+ */
+const is_file = (file) => is_blob(file)
+  || file instanceof ArrayBuffer
+  || ArrayBuffer.isView(file)
+  || (typeof file === "string" && file.length > 0);
+
+/**
+ * Converts the file to Blob for multipart uploads
+ * @param {Blob|ArrayBuffer|ArrayBufferView|string} file
+ * @param {string} type - content type used if the file is not a Blob
+ * @return {Blob}
+ */
+const to_blob = (file, type = "") => {
+  if (is_blob(file)) return file;
+  if (typeof file === "string") return new Blob([file], {type});
+  return new Blob([to_bytes(file)], {type});
+};
+
+/**
+ * Converts the file to base64 for uploads the API accepts as JSON, strings are expected to be base64 or data URL
+ * @param {Blob|ArrayBuffer|ArrayBufferView|string} file
+ * @param {function} base64_encode - encodes binary string
+ * @return {Promise<string>} base64 content
+ */
+const to_base64 = async (file, base64_encode) => {
+  if (typeof file === "string") return file.replace(/^data:[^,]*;base64,/, "");
+  const bytes = is_blob(file) ? new Uint8Array(await file.arrayBuffer()) : to_bytes(file);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return base64_encode(binary);
+};
+
+/**
+ * @param {Blob|ArrayBuffer|ArrayBufferView|string} file
+ * @return {number} size of the file in bytes
+ */
+const byte_size = (file) => {
+  if (is_blob(file)) return file.size;
+  if (typeof file === "string") return file.length;
+  return file.byteLength;
+};
+
+module.exports = {
+  is_file,
+  to_blob,
+  to_base64,
+  byte_size,
+};
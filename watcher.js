@@ -0,0 +1,280 @@
+/**
+ * Change watcher for PhoenixApiClient.watch: polls a list, diffs the snapshots by item key and notifies subscribers.
+ */
+
+const EVENTS = ["created", "updated", "deleted", "snapshot", "error"];
+
+/**
+ * Default comparison of the item versions
+ * @param {object} previous
+ * @param {object} current
+ * @return {boolean} true if the item is unchanged
+ */
+const same_json = (previous, current) => JSON.stringify(previous) === JSON.stringify(current);
+
+/** Class representing a subscription returned by PhoenixApiClient.watch, several subscriptions can share one Watcher. */
+class WatchSubscription {
+
+  /**
+   * Create a WatchSubscription.
+   * @param {Watcher} watcher
+   */
+  constructor(watcher) {
+    this.watcher = watcher;
+    this.stopped = false;
+    this.listeners = {};
+    for (const event of EVENTS) this.listeners[event] = [];
+  }
+
+  /**
+   * Adds event listener
+   * @param {string} eventname - "created", "updated", "deleted", "snapshot" or "error"
+   * @param {function} callback - listener
+   * @return {function} function removing the listener
+   */
+  on(eventname, callback) {
+    if (!this.listeners[eventname]) throw new Error(`Invalid watcher event "${eventname}", allowed: ${EVENTS.join(", ")}`);
+    this.listeners[eventname].push(callback);
+    return () => this.off(eventname, callback);
+  }
+
+  /**
+   * Removes event listener, removes all listeners of the event if callback is not provided
+   * @param {string} eventname - event name
+   * @param {function} callback - listener
+   */
+  off(eventname, callback = null) {
+    if (!this.listeners[eventname]) return;
+    this.listeners[eventname] = callback ? this.listeners[eventname].filter((x) => x !== callback) : [];
+  }
+
+  /**
+   * @return {Array} items of the last poll or null if the list was not loaded yet
+   */
+  get snapshot() {
+    return this.watcher.snapshot;
+  }
+
+  /**
+   * Polls immediately
+   * @return {Promise} resolved when the poll is done
+   */
+  refresh() {
+    return this.stopped ? Promise.resolve() : this.watcher.poll();
+  }
+
+  /**
+   * Stops the subscription, the shared poller stops when its last subscription is stopped
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.watcher.unsubscribe(this);
+  }
+}
+
+/** Class representing poller of a list shared by identical watch calls. */
+class Watcher {
+
+  /**
+   * Create a Watcher.
+   * @param {function} fetch_items - async function called with AbortSignal, returns array of items
+   * @param {object} environment - environment adapter (timers and page visibility)
+   * @param {object} options - interval: milliseconds between polls (default 10000),
+   * max_interval: maximum interval the polling backs off to while the page is hidden or polls fail (default 300000),
+   * key: item key name or function returning the key (default "id"),
+   * compare: function (previous, current) returning true if the item is unchanged (default compares JSON),
+   * keep_alive: the scheduled polls keep the Node.js process alive (default true),
+   * on_stop: called when the last subscription is stopped, on_listener_error: called with errors thrown by listeners
+   */
+  constructor(fetch_items, environment, options = {}) {
+    this.fetch_items = fetch_items;
+    this.environment = environment;
+    this.options = {
+      interval: 10000,
+      max_interval: 300000,
+      key: "id",
+      compare: null,
+      keep_alive: true,
+      on_stop: null,
+      on_listener_error: null,
+      ...options,
+    };
+    this.snapshot = null;
+    this.subscriptions = [];
+    this.stopped = true;
+    this.delay = this.options.interval;
+    this._timer = null;
+    this._polling = null;
+    this._controller = null;
+    this._remove_visibility_listener = null;
+  }
+
+  /**
+   * Adds subscription, starts polling if it is the first one
+   * @return {WatchSubscription}
+   */
+  subscribe() {
+    const subscription = new WatchSubscription(this);
+    this.subscriptions.push(subscription);
+    if (this.stopped) {
+      this.start();
+    } else if (this.snapshot) {
+      // joins running poller, the current snapshot is delivered after the listeners are added
+      Promise.resolve().then(() => {
+        if (!subscription.stopped && this.snapshot) this._emit_to(subscription, "snapshot", this.snapshot);
+      });
+    }
+    return subscription;
+  }
+
+  /**
+   * Removes subscription, stops polling if it was the last one
+   * @param {WatchSubscription} subscription
+   */
+  unsubscribe(subscription) {
+    this.subscriptions = this.subscriptions.filter((x) => x !== subscription);
+    if (!this.subscriptions.length) this.stop();
+  }
+
+  start() {
+    this.stopped = false;
+    this.delay = this.options.interval;
+    if (typeof this.environment.on_visibility_change === "function") {
+      this._remove_visibility_listener = this.environment.on_visibility_change(() => {
+        // polling backed off while the page was hidden, the list may be outdated
+        if (this._is_visible() && this.delay > this.options.interval) this.poll();
+      });
+    }
+    this.poll();
+  }
+
+  /**
+   * Stops polling and all subscriptions, the pending request is aborted
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._controller) this._controller.abort();
+    if (this._remove_visibility_listener) this._remove_visibility_listener();
+    this._remove_visibility_listener = null;
+    for (const subscription of this.subscriptions) subscription.stopped = true;
+    this.subscriptions = [];
+    this.snapshot = null;
+    if (this.options.on_stop) this.options.on_stop(this);
+  }
+
+  /**
+   * Fetches the list and notifies subscribers about the changes, concurrent calls share the request
+   * @return {Promise} resolved when the poll is done
+   */
+  poll() {
+    if (this.stopped) return Promise.resolve();
+    if (this._polling) return this._polling;
+    clearTimeout(this._timer);
+    this._timer = null;
+    let failed = false;
+    const controller = new AbortController();
+    this._controller = controller;
+    this._polling = Promise.resolve()
+      .then(() => this.fetch_items(controller.signal))
+      .then((items) => {
+        if (!controller.signal.aborted) this._update(Array.isArray(items) ? items : []);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        failed = true;
+        this._emit("error", err);
+      })
+      .finally(() => {
+        this._polling = null;
+        this._controller = null;
+        if (!this.stopped) this._schedule(failed);
+      });
+    return this._polling;
+  }
+
+  /**
+   * Schedules the next poll, the interval is doubled (up to max_interval) while the page is hidden or polls fail
+   * @param {boolean} failed - true if the last poll failed
+   */
+  _schedule(failed) {
+    this.delay = failed || !this._is_visible()
+      ? Math.min(this.options.max_interval, Math.max(this.delay, this.options.interval) * 2)
+      : this.options.interval;
+    this._timer = this.environment.set_timeout(() => this.poll(), this.delay, this.options.keep_alive);
+  }
+
+  /**
+   * @return {boolean} false if the page is hidden
+   */
+  _is_visible() {
+    return typeof this.environment.is_visible !== "function" || this.environment.is_visible();
+  }
+
+  /**
+   * @param {object} item
+   * @return {string} key of the item
+   */
+  _key(item) {
+    const key = typeof this.options.key === "function" ? this.options.key(item) : item[this.options.key];
+    return String(key);
+  }
+
+  /**
+   * Diffs the items with the previous snapshot, the first poll emits the snapshot only.
+   * The snapshot is emitted after the changes, polls without changes emit nothing.
+   * @param {Array} items
+   */
+  _update(items) {
+    const previous = this.snapshot;
+    this.snapshot = items;
+    if (previous) {
+      const compare = this.options.compare || same_json;
+      const before = new Map(previous.map((x) => [this._key(x), x]));
+      const after = new Map(items.map((x) => [this._key(x), x]));
+      const created = items.filter((x) => !before.has(this._key(x)));
+      const updated = items
+        .filter((x) => before.has(this._key(x)) && !compare(before.get(this._key(x)), x))
+        .map((x) => ({item: x, previous: before.get(this._key(x))}));
+      const deleted = previous.filter((x) => !after.has(this._key(x)));
+      if (created.length) this._emit("created", created);
+      if (updated.length) this._emit("updated", updated);
+      if (deleted.length) this._emit("deleted", deleted);
+      if (!created.length && !updated.length && !deleted.length) return;
+    }
+    this._emit("snapshot", items);
+  }
+
+  /**
+   * Calls listeners of all subscriptions
+   * @param {string} eventname
+   * @param {...*} args - listener arguments
+   */
+  _emit(eventname, ...args) {
+    for (const subscription of [...this.subscriptions]) this._emit_to(subscription, eventname, ...args);
+  }
+
+  /**
+   * Calls listeners of the subscription, errors thrown by a listener don't prevent calling the others
+   * @param {WatchSubscription} subscription
+   * @param {string} eventname
+   * @param {...*} args - listener arguments
+   */
+  _emit_to(subscription, eventname, ...args) {
+    for (const listener of [...subscription.listeners[eventname]]) {
+      try {
+        listener(...args);
+      } catch (err) {
+        if (this.options.on_listener_error) this.options.on_listener_error(err, eventname);
+      }
+    }
+  }
+}
+
+Watcher.EVENTS = EVENTS;
+Watcher.WatchSubscription = WatchSubscription;
+
+module.exports = Watcher;